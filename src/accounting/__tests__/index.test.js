@@ -11,7 +11,56 @@
  * TC6 - Multiple operations sequence with persistence
  */
 
-const { DataStorage, Operations } = require('../index.js');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  DataStorage,
+  Operations,
+  Menu,
+  Money,
+  Display,
+  StorageError,
+  InvalidAmountError,
+  InsufficientFundsError,
+  Locale,
+  MESSAGES,
+  DebitLimitError,
+  BalanceOverflowError,
+  HoldError,
+  Holds,
+  PendingApprovalError,
+  ApprovalError,
+  Approvals,
+  AuthenticationError,
+  Admin,
+  AccountError,
+  ReversalError,
+  DEFAULT_ACCOUNT,
+  Audit,
+  createServer,
+  Batch,
+  Clock,
+  Currency,
+  CurrencyError,
+  DebitPolicy,
+  EndOfDay,
+  EndOfDayError,
+  Events,
+  ExchangeRates,
+  EXIT_CODES,
+  Pin,
+  Reconcile,
+  Session,
+  SessionError,
+  Statement,
+  runCommand,
+  runReplay,
+  parseOptions
+} = require('../index.js');
 
 // Create a mock readline interface for testing
 const createMockReadline = (answers) => {
@@ -27,6 +76,18 @@ const createMockReadline = (answers) => {
   };
 };
 
+// Run a command as main() would, capturing what it prints to stdout and stderr
+const run = (argv, env = {}) => {
+  const logSpy = jest.spyOn(console, 'log').mockImplementation();
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+  const exitCode = runCommand(parseOptions(argv, env));
+  const stdout = logSpy.mock.calls.map((call) => call[0]);
+  const stderr = errorSpy.mock.calls.map((call) => call[0]);
+  logSpy.mockRestore();
+  errorSpy.mockRestore();
+  return { exitCode, stdout, stderr };
+};
+
 describe('DataStorage Module', () => {
   beforeEach(() => {
     // Reset balance to initial value before each test
@@ -85,7 +146,7 @@ describe('Operations Module - Credit Operation', () => {
       const mockRl = createMockReadline(['500.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.credit(mockRl);
+      await Menu.credit(mockRl);
       consoleSpy.mockRestore();
       
       // Balance should be 1500.00 after crediting 500.00
@@ -96,7 +157,7 @@ describe('Operations Module - Credit Operation', () => {
       const mockRl = createMockReadline(['500.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.credit(mockRl);
+      await Menu.credit(mockRl);
       
       // Check that the success message was logged
       expect(consoleSpy).toHaveBeenCalledWith(
@@ -113,7 +174,7 @@ describe('Operations Module - Credit Operation', () => {
       const mockRl = createMockReadline(['300.50']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.credit(mockRl);
+      await Menu.credit(mockRl);
       consoleSpy.mockRestore();
       
       expect(DataStorage.read()).toBe(1300.50);
@@ -124,7 +185,7 @@ describe('Operations Module - Credit Operation', () => {
     const mockRl = createMockReadline(['-100.00']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -137,7 +198,7 @@ describe('Operations Module - Credit Operation', () => {
     const mockRl = createMockReadline(['abc']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -157,7 +218,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['300.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       consoleSpy.mockRestore();
       
       // Balance should be 1200.00 after debiting 300.00 from 1500.00
@@ -168,7 +229,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['300.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       
       expect(consoleSpy).toHaveBeenCalledWith(
         expect.stringContaining('Amount debited')
@@ -184,7 +245,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['250.75']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       consoleSpy.mockRestore();
       
       expect(DataStorage.read()).toBe(1249.25);
@@ -197,7 +258,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['2000.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       
       // Should display insufficient funds message
       expect(consoleSpy).toHaveBeenCalledWith(
@@ -213,7 +274,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['2000.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       consoleSpy.mockRestore();
       
       expect(DataStorage.read()).toBe(originalBalance);
@@ -224,7 +285,7 @@ describe('Operations Module - Debit Operation', () => {
       const mockRl = createMockReadline(['500.00']);
       
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      await Operations.debit(mockRl);
+      await Menu.debit(mockRl);
       consoleSpy.mockRestore();
       
       expect(DataStorage.read()).toBe(0.00);
@@ -235,7 +296,7 @@ describe('Operations Module - Debit Operation', () => {
     const mockRl = createMockReadline(['-100.00']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.debit(mockRl);
+    await Menu.debit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -254,7 +315,7 @@ describe('Operations Module - View Balance', () => {
     const mockRl = createMockReadline([]);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.viewBalance(mockRl);
+    await Menu.viewBalance(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Current balance')
@@ -271,7 +332,7 @@ describe('Operations Module - View Balance', () => {
     const mockRl = createMockReadline([]);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.viewBalance(mockRl);
+    await Menu.viewBalance(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('2500.75')
@@ -281,6 +342,87 @@ describe('Operations Module - View Balance', () => {
   });
 });
 
+describe('Operations API', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterAll(() => {
+    DataStorage.reset();
+  });
+
+  test('TC1: balance should report the selected account in cents', () => {
+    expect(Operations.balance()).toEqual({ account: DEFAULT_ACCOUNT, currency: 'USD', balance: 100000, available: 100000 });
+  });
+
+  test('TC2: credit should return the posted entry', () => {
+    const result = Operations.credit(50000);
+
+    expect(result).toMatchObject({ account: DEFAULT_ACCOUNT, type: 'CREDIT', amount: 50000, currency: 'USD', balance: 150000 });
+    expect(result.entry).toMatchObject({ type: 'CREDIT', amount: 50000, balance: 150000, outcome: 'Posted' });
+    expect(DataStorage.read()).toBe(1500.00);
+  });
+
+  test('TC3: debit should return the new balance', () => {
+    expect(Operations.debit(30000).balance).toBe(70000);
+    expect(Operations.debit(70000).balance).toBe(0);
+  });
+
+  test('TC4: debit should throw InsufficientFundsError and record the rejection', () => {
+    let error;
+    try {
+      Operations.debit(200000);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(InsufficientFundsError);
+    expect(error.outcome).toBe('Insufficient funds');
+    expect(error.balance).toBe(100000);
+    expect(error.entry).toMatchObject({ type: 'DEBIT', amount: 200000, outcome: 'Insufficient funds' });
+    expect(DataStorage.read()).toBe(1000.00);
+  });
+
+  test('should throw InvalidAmountError for anything but a positive number of cents', () => {
+    for (const amount of [0, -100, 10.5, NaN, '500']) {
+      expect(() => Operations.credit(amount)).toThrow(InvalidAmountError);
+      expect(() => Operations.debit(amount)).toThrow(InvalidAmountError);
+    }
+    expect(DataStorage.ledger).toHaveLength(0);
+  });
+
+  test('credit should throw BalanceOverflowError above 999,999.99', () => {
+    expect(() => Operations.credit(99900000)).toThrow(BalanceOverflowError);
+    expect(DataStorage.read()).toBe(1000.00);
+  });
+
+  test('debit should throw DebitLimitError when the policy limits are reached', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { maxDebit: 5000 });
+
+    expect(() => Operations.debit(5001)).toThrow(DebitLimitError);
+    expect(Operations.debit(5000).balance).toBe(95000);
+  });
+
+  test('should act on the account given in the options', () => {
+    DataStorage.openAccount('2000000002', 0);
+
+    Operations.credit(2500, { account: '2000000002' });
+
+    expect(Operations.balance('2000000002').balance).toBe(2500);
+    expect(Operations.balance().balance).toBe(100000);
+  });
+
+  test('transfer and reverse should return the posted entry', () => {
+    DataStorage.openAccount('2000000002', 0);
+
+    expect(Operations.transfer('2000000002', 40000).balance).toBe(60000);
+    const { entry } = Operations.debit(10000);
+    expect(Operations.reverse(entry.seq).balance).toBe(60000);
+    expect(() => Operations.reverse(entry.seq)).toThrow(ReversalError);
+    expect(() => Operations.transfer(DEFAULT_ACCOUNT, 100)).toThrow(AccountError);
+  });
+});
+
 describe('TC5: Invalid input handling', () => {
   // Note: Direct UI input validation is tested in Operations tests above
   // Invalid menu choices are handled in the main program's switch statement
@@ -288,7 +430,7 @@ describe('TC5: Invalid input handling', () => {
     const mockRl = createMockReadline(['invalid']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -306,7 +448,7 @@ describe('TC6: Multiple operations sequence with persistence', () => {
     // Step 1: Credit 200.00
     const mockRl1 = createMockReadline(['200.00']);
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl1);
+    await Menu.credit(mockRl1);
     consoleSpy.mockRestore();
     
     let currentBalance = DataStorage.read();
@@ -315,7 +457,7 @@ describe('TC6: Multiple operations sequence with persistence', () => {
     // Step 2: Debit 50.00
     const mockRl2 = createMockReadline(['50.00']);
     const consoleSpy2 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.debit(mockRl2);
+    await Menu.debit(mockRl2);
     consoleSpy2.mockRestore();
     
     currentBalance = DataStorage.read();
@@ -324,7 +466,7 @@ describe('TC6: Multiple operations sequence with persistence', () => {
     // Step 3: View balance
     const mockRl3 = createMockReadline([]);
     const consoleSpy3 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.viewBalance(mockRl3);
+    await Menu.viewBalance(mockRl3);
     
     expect(consoleSpy3).toHaveBeenCalledWith(
       expect.stringContaining('1150.00')
@@ -366,28 +508,28 @@ describe('Integration Tests - Full Workflow', () => {
     // View initial balance
     const mockRl1 = createMockReadline([]);
     const spy1 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.viewBalance(mockRl1);
+    await Menu.viewBalance(mockRl1);
     expect(spy1).toHaveBeenCalledWith(expect.stringContaining('1000.00'));
     spy1.mockRestore();
 
     // Credit 500
     const mockRl2 = createMockReadline(['500.00']);
     const spy2 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl2);
+    await Menu.credit(mockRl2);
     expect(spy2).toHaveBeenCalledWith(expect.stringContaining('1500.00'));
     spy2.mockRestore();
 
     // Debit 300
     const mockRl3 = createMockReadline(['300.00']);
     const spy3 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.debit(mockRl3);
+    await Menu.debit(mockRl3);
     expect(spy3).toHaveBeenCalledWith(expect.stringContaining('1200.00'));
     spy3.mockRestore();
 
     // View final balance
     const mockRl4 = createMockReadline([]);
     const spy4 = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.viewBalance(mockRl4);
+    await Menu.viewBalance(mockRl4);
     expect(spy4).toHaveBeenCalledWith(expect.stringContaining('1200.00'));
     spy4.mockRestore();
 
@@ -397,14 +539,29 @@ describe('Integration Tests - Full Workflow', () => {
 
 describe('Edge Cases and Boundary Tests', () => {
   test('should handle very large credit amounts', async () => {
+    DataStorage.balance = 0.00;
+    const mockRl = createMockReadline(['999999.99']);
+    
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.credit(mockRl);
+    consoleSpy.mockRestore();
+    
+    expect(DataStorage.read()).toBe(999999.99);
+  });
+
+  test('should reject a credit that would overflow PIC 9(6)V99', async () => {
     DataStorage.balance = 1000.00;
     const mockRl = createMockReadline(['999999.99']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
+    
+    expect(consoleSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Credit rejected')
+    );
     consoleSpy.mockRestore();
     
-    expect(DataStorage.read()).toBe(1000999.99);
+    expect(DataStorage.read()).toBe(1000.00);
   });
 
   test('should handle very small credit amounts', async () => {
@@ -412,7 +569,7 @@ describe('Edge Cases and Boundary Tests', () => {
     const mockRl = createMockReadline(['0.01']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     consoleSpy.mockRestore();
     
     expect(DataStorage.read()).toBe(1000.01);
@@ -423,7 +580,7 @@ describe('Edge Cases and Boundary Tests', () => {
     const mockRl = createMockReadline(['0.20']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     consoleSpy.mockRestore();
     
     const balance = DataStorage.read();
@@ -436,7 +593,7 @@ describe('Edge Cases and Boundary Tests', () => {
     const mockRl = createMockReadline(['100.00']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.debit(mockRl);
+    await Menu.debit(mockRl);
     consoleSpy.mockRestore();
     
     expect(DataStorage.read()).toBe(0.00);
@@ -447,7 +604,7 @@ describe('Edge Cases and Boundary Tests', () => {
     const mockRl = createMockReadline(['0.00']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.debit(mockRl);
+    await Menu.debit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -461,7 +618,7 @@ describe('Edge Cases and Boundary Tests', () => {
     const mockRl = createMockReadline(['0.00']);
     
     const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-    await Operations.credit(mockRl);
+    await Menu.credit(mockRl);
     
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining('Invalid amount')
@@ -470,3 +627,2465 @@ describe('Edge Cases and Boundary Tests', () => {
     consoleSpy.mockRestore();
   });
 });
+
+describe('File-backed DataStorage', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-system-'));
+    file = path.join(dir, 'balance.json');
+    DataStorage.balance = 1000.00;
+  });
+
+  afterEach(() => {
+    DataStorage.file = null;
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should create the data file with the opening balance', () => {
+    DataStorage.open(file);
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+  });
+
+  test('should persist writes and load them on the next start', () => {
+    DataStorage.open(file);
+    DataStorage.write(1500.00);
+
+    DataStorage.balance = 1000.00;
+    DataStorage.open(file);
+    expect(DataStorage.read()).toBe(1500.00);
+  });
+
+  test('should not leave a temp file behind after a write', () => {
+    DataStorage.open(file);
+    DataStorage.write(1200.00);
+
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+    expect(fs.existsSync(`${file}.bak`)).toBe(true);
+  });
+
+  test('should restore the last good copy when the data file is truncated', () => {
+    DataStorage.open(file);
+    DataStorage.write(1200.00);
+    DataStorage.write(1300.00);
+    fs.writeFileSync(file, '{"version": 1, "bal');
+
+    DataStorage.balance = 1000.00;
+    const result = DataStorage.open(file);
+
+    expect(result.recovered).toBe(true);
+    expect(result.quarantined).toMatch(/\.corrupt-\d+$/);
+    expect(fs.existsSync(result.quarantined)).toBe(true);
+    expect(DataStorage.read()).toBe(1200.00);
+  });
+
+  test('should report a recovery on stderr so --json output stays parseable', (done) => {
+    DataStorage.open(file);
+    DataStorage.write(1200.00);
+    DataStorage.write(1300.00);
+    fs.writeFileSync(file, '{"version": 1, "bal');
+    DataStorage.file = null;
+
+    execFile(process.execPath, [path.join(__dirname, '..', 'index.js'), 'balance', '--json', '--data-file', file],
+      { env: { PATH: process.env.PATH } }, (err, stdout, stderr) => {
+        expect(err).toBeNull();
+        expect(JSON.parse(stdout)).toMatchObject({ ok: true, balance: '1200.00' });
+        expect(stderr).toContain('Warning: balance restored from the last good backup.');
+        done();
+      });
+  });
+
+  test('should refuse to start over when the file is corrupt and there is no backup', () => {
+    fs.writeFileSync(file, 'not json');
+
+    expect(() => DataStorage.open(file)).toThrow(StorageError);
+    expect(DataStorage.file).toBeNull();
+  });
+
+  test('should ignore a temp file left by an interrupted write', () => {
+    DataStorage.open(file);
+    DataStorage.write(1100.00);
+    fs.writeFileSync(`${file}.tmp`, '{"version": 1, "balance": 99');
+
+    DataStorage.open(file);
+
+    expect(DataStorage.read()).toBe(1100.00);
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+  });
+
+  test('credit should be written through to disk', async () => {
+    DataStorage.open(file);
+    const mockRl = createMockReadline(['250.00']);
+
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.credit(mockRl);
+    consoleSpy.mockRestore();
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).accounts[DEFAULT_ACCOUNT].balance).toBe(125000);
+  });
+
+  test('should load a single-balance data file into the default account', () => {
+    fs.writeFileSync(file, JSON.stringify({ version: 1, balance: 750.25 }));
+
+    DataStorage.open(file);
+
+    expect(DataStorage.currentAccount).toBe(DEFAULT_ACCOUNT);
+    expect(DataStorage.read()).toBe(750.25);
+  });
+
+  test('should persist every account', () => {
+    DataStorage.reset();
+    DataStorage.open(file);
+    DataStorage.openAccount('200', 5000);
+
+    DataStorage.reset();
+    DataStorage.open(file);
+    DataStorage.selectAccount('200');
+
+    expect(DataStorage.read()).toBe(50.00);
+    DataStorage.reset();
+  });
+});
+
+describe('Command line options', () => {
+  test('should stay in memory by default', () => {
+    expect(parseOptions([], {}).dataFile).toBeNull();
+  });
+
+  test('should read the data file from --data-file', () => {
+    expect(parseOptions(['--data-file', 'a.json'], {}).dataFile).toBe('a.json');
+    expect(parseOptions(['--data-file=b.json'], {}).dataFile).toBe('b.json');
+  });
+
+  test('should fall back to ACCOUNT_DATA_FILE', () => {
+    expect(parseOptions([], { ACCOUNT_DATA_FILE: 'c.json' }).dataFile).toBe('c.json');
+  });
+
+  test('should take the first bare argument as the command', () => {
+    expect(parseOptions([], {}).command).toBeNull();
+    expect(parseOptions(['serve', '--port', '8080'], {})).toMatchObject({ command: 'serve', port: 8080 });
+  });
+
+  test('should default to modern output and accept --compat=cobol', () => {
+    expect(parseOptions([], {}).compat).toBe('modern');
+    expect(parseOptions(['--compat=cobol'], {}).compat).toBe('cobol');
+    expect(parseOptions(['--compat', 'cobol'], {}).compat).toBe('cobol');
+  });
+});
+
+describe('Multiple accounts', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+  });
+
+  test('should start with the default account selected at 1000.00', () => {
+    expect(DataStorage.currentAccount).toBe(DEFAULT_ACCOUNT);
+    expect(DataStorage.listAccounts().map((a) => a.number)).toEqual([DEFAULT_ACCOUNT]);
+  });
+
+  test('should keep a separate balance per account', () => {
+    DataStorage.openAccount('100', 25000);
+    DataStorage.selectAccount('100');
+    DataStorage.write(300.00);
+
+    DataStorage.selectAccount(DEFAULT_ACCOUNT);
+    expect(DataStorage.read()).toBe(1000.00);
+    DataStorage.selectAccount('100');
+    expect(DataStorage.read()).toBe(300.00);
+  });
+
+  test('should reject duplicate and malformed account numbers', () => {
+    expect(() => DataStorage.openAccount(DEFAULT_ACCOUNT, 0)).toThrow(AccountError);
+    expect(() => DataStorage.openAccount('12a', 0)).toThrow(AccountError);
+  });
+
+  test('should reject selecting an unknown account', () => {
+    expect(() => DataStorage.selectAccount('999')).toThrow(AccountError);
+    expect(DataStorage.currentAccount).toBe(DEFAULT_ACCOUNT);
+  });
+
+  test('should only close an account with a zero balance', () => {
+    DataStorage.openAccount('100', 1000);
+    expect(() => DataStorage.closeAccount('100')).toThrow(AccountError);
+
+    DataStorage.selectAccount('100');
+    DataStorage.write(0);
+    DataStorage.closeAccount('100');
+
+    expect(DataStorage.currentAccount).toBeNull();
+    expect(DataStorage.listAccounts().map((a) => a.number)).toEqual([DEFAULT_ACCOUNT]);
+    expect(() => DataStorage.selectAccount('100')).toThrow(AccountError);
+  });
+
+  test('credit should act on the selected account', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.openAccount(createMockReadline(['100', '20.00']));
+    await Menu.selectAccount(createMockReadline(['100']));
+    await Menu.credit(createMockReadline(['5.00']));
+    consoleSpy.mockRestore();
+
+    expect(DataStorage.read()).toBe(25.00);
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+  });
+
+  test('should report when no account is selected', async () => {
+    DataStorage.currentAccount = null;
+
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.debit(createMockReadline(['5.00']));
+
+    expect(consoleSpy).toHaveBeenCalledWith(
+      expect.stringContaining('No account selected')
+    );
+    consoleSpy.mockRestore();
+  });
+
+  test('should list the open accounts logged in to and mark the selected one', async () => {
+    DataStorage.openAccount('100', 2000);
+    DataStorage.openAccount('200', 3000);
+    Menu.loggedIn = new Set([DEFAULT_ACCOUNT, '100']);
+
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.listAccounts(createMockReadline([]));
+
+    expect(consoleSpy).toHaveBeenCalledWith(`* ${DEFAULT_ACCOUNT.padEnd(10)}  $1000.00`);
+    expect(consoleSpy).toHaveBeenCalledWith('  100         $20.00');
+    expect(consoleSpy).not.toHaveBeenCalledWith(expect.stringContaining('200'));
+    consoleSpy.mockRestore();
+  });
+
+  test('should ask for the PIN of another account before closing it', async () => {
+    DataStorage.setPin(DEFAULT_ACCOUNT, '1234');
+    DataStorage.openAccount('000002', 0);
+    DataStorage.setPin('000002', '9999');
+
+    const refused = await Session.run(['1234', '8', '000002', '0000', '0000', '0000', '7', '4']);
+    expect(refused).toContain('Account 000002 is locked. Please contact an administrator.');
+    expect(refused).not.toMatch(/^ {2}000002/m);
+    expect(DataStorage.accounts['000002'].status).toBe('open');
+
+    DataStorage.resetPin('000002');
+    DataStorage.setPin('000002', '9999');
+    await Session.run(['1234', '8', '000002', '9999', '4']);
+    expect(DataStorage.accounts['000002'].status).toBe('closed');
+  });
+});
+
+describe('Transaction ledger and statement', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+  });
+
+  const runDialog = async (operation, answers) => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu[operation](createMockReadline(answers));
+    const lines = consoleSpy.mock.calls.map((call) => call[0]);
+    consoleSpy.mockRestore();
+    return lines;
+  };
+
+  test('should record posted credits and debits with the resulting balance', async () => {
+    await runDialog('credit', ['200.00']);
+    await runDialog('debit', ['50.00']);
+
+    expect(DataStorage.ledger).toEqual([
+      expect.objectContaining({ seq: 1, account: DEFAULT_ACCOUNT, type: 'CREDIT', amount: 20000, balance: 120000, outcome: 'Posted' }),
+      expect.objectContaining({ seq: 2, account: DEFAULT_ACCOUNT, type: 'DEBIT', amount: 5000, balance: 115000, outcome: 'Posted' })
+    ]);
+    expect(DataStorage.ledger[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('should record rejected debits without changing the balance', async () => {
+    await runDialog('debit', ['2000.00']);
+
+    expect(DataStorage.ledger).toEqual([
+      expect.objectContaining({ seq: 1, type: 'DEBIT', amount: 200000, balance: 100000, outcome: 'Insufficient funds' })
+    ]);
+  });
+
+  test('should filter the statement by account and date range', () => {
+    DataStorage.openAccount('100', 0);
+    DataStorage.ledger = [
+      { seq: 1, timestamp: '2024-01-01T10:00:00.000Z', account: DEFAULT_ACCOUNT, type: 'CREDIT', amount: 100, balance: 100100, outcome: 'Posted' },
+      { seq: 2, timestamp: '2024-01-15T10:00:00.000Z', account: DEFAULT_ACCOUNT, type: 'CREDIT', amount: 100, balance: 100200, outcome: 'Posted' },
+      { seq: 3, timestamp: '2024-01-15T11:00:00.000Z', account: '100', type: 'CREDIT', amount: 100, balance: 100, outcome: 'Posted' },
+      { seq: 4, timestamp: '2024-02-01T10:00:00.000Z', account: DEFAULT_ACCOUNT, type: 'DEBIT', amount: 100, balance: 100100, outcome: 'Posted' }
+    ];
+
+    const seqs = (options) => DataStorage.statement(DEFAULT_ACCOUNT, options).map((e) => e.seq);
+    expect(seqs()).toEqual([1, 2, 4]);
+    expect(seqs({ from: '2024-01-15' })).toEqual([2, 4]);
+    expect(seqs({ from: '2024-01-02', to: '2024-01-31' })).toEqual([2]);
+  });
+
+  test('should page through a long statement and stop on Q', async () => {
+    for (let i = 0; i < 25; i++) {
+      await runDialog('credit', ['1.00']);
+    }
+
+    const lines = await runDialog('viewStatement', ['', '', '', 'Q']);
+    const rows = lines.filter((line) => /^\s+\d+ \d{4}-/.test(line));
+
+    expect(rows).toHaveLength(20);
+    expect(rows[19]).toContain('1020.00');
+  });
+
+  test('should reject a malformed date', async () => {
+    const lines = await runDialog('viewStatement', ['01/02/2024']);
+
+    expect(lines).toContain('Invalid date. Please use YYYY-MM-DD.');
+  });
+});
+
+describe('Money (PIC 9(6)V99 fixed point)', () => {
+  afterEach(() => {
+    Money.rounding = 'truncate';
+  });
+
+  test('should parse decimal strings into exact cents', () => {
+    expect(Money.parse('1000')).toBe(100000);
+    expect(Money.parse('0.1')).toBe(10);
+    expect(Money.parse('.05')).toBe(5);
+    expect(Money.parse('999999.99')).toBe(Money.MAX);
+  });
+
+  test('should truncate extra decimal places by default, like COBOL', () => {
+    expect(Money.parse('10.129')).toBe(1012);
+  });
+
+  test('should round half up when configured', () => {
+    Money.rounding = 'round';
+    expect(Money.parse('10.125')).toBe(1013);
+    expect(Money.parse('10.124')).toBe(1012);
+    expect(Money.parse('10.129', 'truncate')).toBe(1012);
+  });
+
+  test('should reject malformed amounts and amounts above 999,999.99', () => {
+    expect(() => Money.parse('abc')).toThrow(InvalidAmountError);
+    expect(() => Money.parse('.')).toThrow(InvalidAmountError);
+    expect(() => Money.parse('1000000.00')).toThrow(InvalidAmountError);
+  });
+
+  test('should reject a sum above 999,999.99', () => {
+    expect(Money.add(99999900, 99)).toBe(Money.MAX);
+    expect(() => Money.add(Money.MAX, 1)).toThrow(BalanceOverflowError);
+  });
+
+  test('should format cents with two decimal places', () => {
+    expect(Money.format(100050)).toBe('1000.50');
+    expect(Money.format(5)).toBe('0.05');
+    expect(Money.format(-5)).toBe('-0.05');
+  });
+
+  test('repeated credits of 0.10 should not drift', async () => {
+    DataStorage.reset();
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    for (let i = 0; i < 10; i++) {
+      await Menu.credit(createMockReadline(['0.10']));
+    }
+    consoleSpy.mockRestore();
+
+    expect(DataStorage.readCents()).toBe(100100);
+    expect(DataStorage.read()).toBe(1001.00);
+  });
+
+  test('should record an overflowing credit as rejected', async () => {
+    DataStorage.reset();
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.credit(createMockReadline(['999999.99']));
+    consoleSpy.mockRestore();
+
+    expect(DataStorage.ledger).toEqual([
+      expect.objectContaining({ type: 'CREDIT', amount: Money.MAX, balance: 100000, outcome: 'Balance overflow' })
+    ]);
+    DataStorage.reset();
+  });
+});
+
+describe('Amount input parser', () => {
+  const reason = (text, options) => {
+    try {
+      Operations.parseAmount(text, options);
+    } catch (err) {
+      expect(err).toBeInstanceOf(InvalidAmountError);
+      return err.message;
+    }
+    throw new Error(`'${text}' was accepted`);
+  };
+
+  test('should accept a currency symbol and thousands separators', () => {
+    expect(Operations.parseAmount('$1,234.56')).toBe(123456);
+    expect(Operations.parseAmount(' 999,999.99 ')).toBe(Money.MAX);
+    expect(Operations.parseAmount('+$ 5')).toBe(500);
+    expect(Operations.parseAmount('.05')).toBe(5);
+    expect(Operations.parseAmount('CHF 1,000', { currency: 'CHF' })).toBe(100000);
+    expect(Operations.parseAmount('¥1,500', { currency: 'JPY' })).toBe(1500);
+  });
+
+  test('should explain what is wrong with malformed input', () => {
+    expect(reason('12abc')).toBe("Invalid amount. Unexpected 'abc' after the number.");
+    expect(reason('1.2.3')).toBe("Invalid amount. Unexpected '.3' after the number.");
+    expect(reason('1e3')).toBe('Invalid amount. Exponent notation such as 1e3 is not accepted.');
+    expect(reason('2.5E-1')).toBe('Invalid amount. Exponent notation such as 1e3 is not accepted.');
+    expect(reason('10.129')).toBe('Invalid amount. At most 2 decimal places are allowed.');
+    expect(reason('100.5', { currency: 'JPY' })).toBe('Invalid amount. This currency has no decimal places.');
+    expect(reason('1,23')).toBe('Invalid amount. Thousands separators must separate groups of three digits.');
+    expect(reason('1234,567.00')).toBe('Invalid amount. Thousands separators must separate groups of three digits.');
+    expect(reason('€5')).toBe("Invalid amount. Please enter a positive number.");
+    expect(reason('1,000,000.00')).toBe('Invalid amount. Maximum is 999999.99.');
+    expect(reason('-$5')).toBe('Invalid amount. Please enter a positive number.');
+  });
+
+  test('a leading symbol should name the currency like a trailing code', () => {
+    expect(Operations.parseMoney('€50.00')).toEqual({ amount: 5000, currency: 'EUR' });
+    expect(Operations.parseMoney('$1,000 USD', 'EUR')).toEqual({ amount: 100000, currency: 'USD' });
+    expect(Operations.parseMoney('1,000')).toEqual({ amount: 100000, currency: 'USD' });
+  });
+
+  test('the CLI should use the same parser', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['credit', '$1,234.56'], {}))).toBe(EXIT_CODES.OK);
+    expect(runCommand(parseOptions(['credit', '1e3'], {}))).toBe(EXIT_CODES.INVALID_AMOUNT);
+    expect(errorSpy).toHaveBeenCalledWith('Invalid amount. Exponent notation such as 1e3 is not accepted.');
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(223456);
+
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    DataStorage.reset();
+  });
+});
+
+describe('COBOL-compatible output mode', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+    Display.mode = 'cobol';
+  });
+
+  afterEach(() => {
+    Display.mode = 'modern';
+    DataStorage.reset();
+  });
+
+  const transcript = async (operation, answers) => {
+    const prompts = [];
+    const rl = createMockReadline(answers);
+    const question = rl.question;
+    rl.question = (prompt, callback) => {
+      prompts.push(prompt);
+      question(prompt, callback);
+    };
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu[operation](rl);
+    const lines = consoleSpy.mock.calls.map((call) => call[0]);
+    consoleSpy.mockRestore();
+    return { prompts, lines };
+  };
+
+  test('should zero-pad amounts like a PIC 9(6)V99 DISPLAY', () => {
+    expect(Money.formatPicture(100000)).toBe('001000.00');
+    expect(Money.formatPicture(99999999)).toBe('999999.99');
+    expect(Display.amount(5)).toBe('000000.05');
+  });
+
+  test('TC1: should display the balance as in the legacy transcript', async () => {
+    const { lines } = await transcript('viewBalance', []);
+
+    expect(lines).toEqual(['Current balance: 001000.00']);
+  });
+
+  test('TC2: should prompt on its own line and show the padded new balance', async () => {
+    const { prompts, lines } = await transcript('credit', ['500.00']);
+
+    expect(prompts).toEqual(['Enter credit amount: \n']);
+    expect(lines).toEqual(['Amount credited. New balance: 001500.00']);
+  });
+
+  test('TC4: should show the legacy insufficient funds message', async () => {
+    const { lines } = await transcript('debit', ['2000.00']);
+
+    expect(lines).toEqual(['Insufficient funds for this debit.']);
+  });
+
+  test('modern mode should keep the currency symbol and spacing', async () => {
+    Display.mode = 'modern';
+    const { prompts, lines } = await transcript('credit', ['500.00']);
+
+    expect(prompts).toEqual(['Enter credit amount: ']);
+    expect(lines).toEqual(['\nAmount credited. New balance: $1500.00\n']);
+  });
+});
+
+describe('Transfers between accounts', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+    DataStorage.openAccount('200', 5000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    DataStorage.reset();
+  });
+
+  const transfer = async (answers) => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.transfer(createMockReadline(answers));
+    const lines = consoleSpy.mock.calls.map((call) => call[0]);
+    consoleSpy.mockRestore();
+    return lines;
+  };
+
+  test('should move the amount and record linked entries', async () => {
+    await transfer(['200', '250.00']);
+
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(75000);
+    expect(DataStorage.accounts['200'].balance).toBe(30000);
+    expect(DataStorage.ledger).toEqual([
+      expect.objectContaining({ seq: 1, account: DEFAULT_ACCOUNT, type: 'XFER-OUT', amount: 25000, counterparty: '200', linkedSeq: 2 }),
+      expect.objectContaining({ seq: 2, account: '200', type: 'XFER-IN', amount: 25000, counterparty: DEFAULT_ACCOUNT, linkedSeq: 1 })
+    ]);
+  });
+
+  test('should apply the insufficient funds rule to the source', async () => {
+    const lines = await transfer(['200', '1000.01']);
+
+    expect(lines).toContainEqual(expect.stringContaining('Insufficient funds'));
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+    expect(DataStorage.accounts['200'].balance).toBe(5000);
+    expect(DataStorage.ledger).toEqual([
+      expect.objectContaining({ type: 'XFER-OUT', outcome: 'Insufficient funds' })
+    ]);
+  });
+
+  test('should reject an unknown or identical destination', async () => {
+    expect(await transfer(['999', '1.00'])).toContainEqual(expect.stringContaining('does not exist'));
+    expect(await transfer([DEFAULT_ACCOUNT, '1.00'])).toContainEqual(expect.stringContaining('same account'));
+    expect(DataStorage.ledger).toEqual([]);
+  });
+
+  test('should reject a transfer that would overflow the destination', async () => {
+    DataStorage.accounts['200'].balance = Money.MAX;
+
+    const lines = await transfer(['200', '1.00']);
+
+    expect(lines).toContainEqual(expect.stringContaining('Transfer rejected'));
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+  });
+
+  test('should roll back the first leg if the second one fails', async () => {
+    const post = DataStorage.post;
+    let calls = 0;
+    jest.spyOn(DataStorage, 'post').mockImplementation(function (...args) {
+      if (++calls === 2) throw new Error('disk on fire');
+      return post.apply(this, args);
+    });
+
+    await expect(transfer(['200', '100.00'])).rejects.toThrow('disk on fire');
+
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+    expect(DataStorage.accounts['200'].balance).toBe(5000);
+    expect(DataStorage.ledger).toEqual([]);
+  });
+});
+
+describe('HTTP JSON API', () => {
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    server = createServer().listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterAll(() => {
+    DataStorage.reset();
+  });
+
+  const request = (method, url, body, headers = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+
+  test('GET balance should return the stored balance', async () => {
+    const res = await request('GET', `/accounts/${DEFAULT_ACCOUNT}/balance`);
+
+    expect(res).toEqual({ status: 200, body: { account: DEFAULT_ACCOUNT, currency: 'USD', balance: '1000.00', available: '1000.00' } });
+  });
+
+  test('an account with a PIN should need it in X-Account-Pin', async () => {
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+
+    expect(await request('POST', `/accounts/${DEFAULT_ACCOUNT}/debit`, { amount: '40' })).toEqual({
+      status: 401, body: { error: `Account ${DEFAULT_ACCOUNT} needs its PIN.` }
+    });
+    expect((await request('GET', `/accounts/${DEFAULT_ACCOUNT}/balance`, undefined, { 'X-Account-Pin': '0000' })).status).toBe(401);
+    const res = await request('POST', `/accounts/${DEFAULT_ACCOUNT}/debit`, { amount: '40' }, { 'X-Account-Pin': '4321' });
+    expect(res).toMatchObject({ status: 200, body: { balance: '960.00' } });
+  });
+
+  test('POST credit should post and return the new balance', async () => {
+    const res = await request('POST', `/accounts/${DEFAULT_ACCOUNT}/credit`, { amount: '250.00' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: 'CREDIT', amount: '250.00', balance: '1250.00', seq: 1 });
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(125000);
+  });
+
+  test('POST debit should answer 422 on insufficient funds', async () => {
+    const res = await request('POST', `/accounts/${DEFAULT_ACCOUNT}/debit`, { amount: 2000 });
+
+    expect(res).toEqual({ status: 422, body: { error: 'Insufficient funds for this debit.' } });
+    expect(DataStorage.ledger[0].outcome).toBe('Insufficient funds');
+  });
+
+  test('should answer 400 for amounts getAmount would reject', async () => {
+    for (const amount of ['abc', '-5', '0', '1000000']) {
+      const res = await request('POST', `/accounts/${DEFAULT_ACCOUNT}/credit`, { amount });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Invalid amount');
+    }
+    expect((await request('POST', `/accounts/${DEFAULT_ACCOUNT}/credit`, {})).status).toBe(400);
+    expect(await request('POST', `/accounts/${DEFAULT_ACCOUNT}/credit`, { amount: '12abc' })).toEqual({
+      status: 400, body: { error: "Invalid amount. Unexpected 'abc' after the number." }
+    });
+    expect((await request('POST', `/accounts/${DEFAULT_ACCOUNT}/credit`, '{nope')).status).toBe(400);
+    expect(DataStorage.ledger).toEqual([]);
+  });
+
+  test('should answer 404 for unknown accounts and routes, 405 for wrong methods', async () => {
+    expect((await request('GET', '/accounts/999/balance')).status).toBe(404);
+    expect((await request('GET', '/nowhere')).status).toBe(404);
+    expect((await request('GET', `/accounts/${DEFAULT_ACCOUNT}/credit`)).status).toBe(405);
+  });
+
+  test('should answer 400 for a malformed escape in the account number', async () => {
+    expect(await request('GET', '/accounts/%E0%A4%A/balance')).toEqual({ status: 400, body: { error: 'Malformed account number' } });
+  });
+
+  test('concurrent debits should never overdraw the account', async () => {
+    const results = await Promise.all(Array.from({ length: 15 }, () =>
+      request('POST', `/accounts/${DEFAULT_ACCOUNT}/debit`, { amount: '100.00' })
+    ));
+
+    expect(results.filter((res) => res.status === 200)).toHaveLength(10);
+    expect(results.filter((res) => res.status === 422)).toHaveLength(5);
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(0);
+  });
+});
+
+describe('Non-interactive commands', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+  });
+
+  test('balance should print the balance and exit 0', () => {
+    expect(run(['balance'])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: ['Current balance: $1000.00'],
+      stderr: []
+    });
+  });
+
+  test('credit and debit should post without prompting', () => {
+    expect(run(['credit', '250.00']).stdout).toEqual(['Amount credited. New balance: $1250.00']);
+    expect(run(['debit', '40']).stdout).toEqual(['Amount debited. New balance: $1210.00']);
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(121000);
+  });
+
+  test('--json should print a machine-readable result', () => {
+    const { exitCode, stdout } = run(['credit', '0.10', '--json']);
+
+    expect(exitCode).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(stdout[0])).toEqual({
+      ok: true, account: DEFAULT_ACCOUNT, type: 'CREDIT', currency: 'USD', amount: '0.10', balance: '1000.10', seq: 1
+    });
+  });
+
+  test('should use distinct exit codes for each failure', () => {
+    expect(run(['credit', 'abc']).exitCode).toBe(EXIT_CODES.INVALID_AMOUNT);
+    expect(run(['debit', '2000']).exitCode).toBe(EXIT_CODES.INSUFFICIENT_FUNDS);
+    expect(run(['credit', '999999.99']).exitCode).toBe(EXIT_CODES.BALANCE_OVERFLOW);
+    expect(run(['balance', '--account', '999']).exitCode).toBe(EXIT_CODES.UNKNOWN_ACCOUNT);
+    expect(run(['credit']).exitCode).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('failures should go to stderr, or into the JSON result', () => {
+    expect(run(['debit', '2000']).stderr).toEqual(['Insufficient funds for this debit.']);
+    expect(JSON.parse(run(['debit', '2000', '--json']).stdout[0])).toEqual({
+      ok: false, error: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds for this debit.'
+    });
+  });
+
+  test('--account should pick the account to act on', () => {
+    DataStorage.openAccount('200', 0);
+
+    run(['credit', '5', '--account', '200']);
+
+    expect(DataStorage.accounts['200'].balance).toBe(500);
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+  });
+});
+
+describe('Batch transaction files', () => {
+  let dir;
+
+  beforeEach(() => {
+    DataStorage.reset();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-batch-'));
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runBatch = (name, contents, extra = [], env = {}) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const exitCode = runCommand(parseOptions(['batch', file, '--json', ...extra], env));
+    const result = JSON.parse(logSpy.mock.calls[0][0]);
+    logSpy.mockRestore();
+    return { file, exitCode, result };
+  };
+
+  test('should copy the whole state once however many records there are', () => {
+    const getState = jest.spyOn(DataStorage, 'getState');
+    const { result } = runBatch('in.csv', 'CREDIT,1.00\nDEBIT,0.50\n'.repeat(200));
+    const copies = getState.mock.calls.length;
+    getState.mockRestore();
+
+    expect(result.posted).toBe(400);
+    expect(copies).toBe(1);
+  });
+
+  test('a nested unit of work that fails should undo only its own changes', () => {
+    DataStorage.openAccount('000002', 0);
+    Operations.hold(10000);
+
+    DataStorage.transaction(() => {
+      Operations.postCredit(DEFAULT_ACCOUNT, 500);
+      const before = JSON.parse(JSON.stringify(DataStorage.getState()));
+      expect(() => DataStorage.transaction(() => {
+        DataStorage.openAccount('000003', 0);
+        Operations.transfer('000002', 100);
+        Operations.capture(1);
+        DataStorage.setPolicy(DEFAULT_ACCOUNT, { overdraftLimit: 5000 });
+        DataStorage.addSupervisor('sam', 'sam password');
+        throw new Error('failed after the changes');
+      })).toThrow('failed after the changes');
+      expect(DataStorage.getState()).toEqual(before);
+    });
+
+    expect(DataStorage.read()).toBe(1005.00);
+    expect(Holds.held(DEFAULT_ACCOUNT)).toBe(10000);
+    expect(DataStorage.accounts['000003']).toBeUndefined();
+  });
+
+  test('should need the administrator password for accounts with a PIN and refuse locked ones', () => {
+    DataStorage.openAccount('000002', 0);
+    DataStorage.openAccount('000003', 0);
+    DataStorage.setPin('000002', '4321');
+    DataStorage.setPin('000003', '4321');
+    DataStorage.getAccount('000003').pin.locked = true;
+    DataStorage.setAdminPassword('correct horse');
+    const contents = 'type,amount,account\nCREDIT,10,000001\nCREDIT,20,000002\nCREDIT,30,000003\n';
+
+    expect(runBatch('in.csv', contents).result.rejects.map((reject) => reject.reason)).toEqual(['PIN required', 'Account locked']);
+    expect(DataStorage.getAccount('000002').balance).toBe(0);
+    const { result } = runBatch('again.csv', contents, [], { ACCOUNT_ADMIN_PASSWORD: 'correct horse' });
+    expect(result.rejects.map((reject) => reject.reason)).toEqual(['Account locked']);
+    expect(DataStorage.getAccount('000002').balance).toBe(2000);
+  });
+
+  test('should apply CSV records through the credit/debit rules', () => {
+    const { exitCode, result } = runBatch('in.csv', 'type,amount\nCREDIT,250.00\nDEBIT,40\n');
+
+    expect(exitCode).toBe(EXIT_CODES.OK);
+    expect(result).toMatchObject({
+      records: 2, posted: 2, rejected: 0, totalCredits: '250.00', totalDebits: '40.00',
+      accounts: { [DEFAULT_ACCOUNT]: { opening: '1000.00', closing: '1210.00' } },
+      rejectFile: null
+    });
+    expect(DataStorage.ledger.map((e) => e.type)).toEqual(['CREDIT', 'DEBIT']);
+  });
+
+  test('should read fixed-width PIC 9(6)V99 records', () => {
+    DataStorage.openAccount('200', 0);
+    const records = Batch.parseRecords('CREDIT00025000\nDEBIT 00000150200       \n', 'fixed');
+
+    expect(records.map(({ type, amount, account }) => ({ type, amount, account }))).toEqual([
+      { type: 'CREDIT', amount: '000250.00', account: '' },
+      { type: 'DEBIT', amount: '000001.50', account: '200' }
+    ]);
+  });
+
+  test('should write each rejected record and its reason to the reject file', () => {
+    DataStorage.accounts[DEFAULT_ACCOUNT].balance = Money.MAX - 100;
+    const { file, exitCode, result } = runBatch('in.dat', [
+      'DEBIT 99999999',
+      'CREDIT00000200',
+      'CREDIT0000x100',
+      'CREDIT00000100999',
+      'REFUND00000100',
+      'DEBIT 00000100'
+    ].join('\n'));
+
+    expect(exitCode).toBe(EXIT_CODES.REJECTED_RECORDS);
+    expect(result).toMatchObject({ records: 6, posted: 1, rejected: 5, rejectFile: `${file}.rejects.csv` });
+    expect(fs.readFileSync(`${file}.rejects.csv`, 'utf8').split('\n')).toEqual([
+      'line,record,reason',
+      '1,"DEBIT 99999999","Insufficient funds"',
+      '2,"CREDIT00000200","Balance overflow"',
+      '3,"CREDIT0000x100","Invalid amount"',
+      '4,"CREDIT00000100999","Unknown account"',
+      '5,"REFUND00000100","Invalid record"',
+      ''
+    ]);
+  });
+
+  test('should honour --rejects and --format', () => {
+    const rejects = path.join(dir, 'out.csv');
+    const { result } = runBatch('in.txt', 'DEBIT,abc\n', ['--format', 'csv', '--rejects', rejects]);
+
+    expect(result.rejects).toEqual([{ line: 1, raw: 'DEBIT,abc', reason: 'Invalid amount' }]);
+    expect(fs.existsSync(rejects)).toBe(true);
+  });
+
+  test('should print a readable summary without --json', () => {
+    const file = path.join(dir, 'in.csv');
+    fs.writeFileSync(file, 'CREDIT,5\n');
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    runCommand(parseOptions(['batch', file], {}));
+    const text = logSpy.mock.calls[0][0];
+    logSpy.mockRestore();
+
+    expect(text).toContain('Records read:   1');
+    expect(text).toContain(`Account ${DEFAULT_ACCOUNT}: opening $1000.00, closing $1005.00`);
+  });
+});
+
+describe('Reversal of posted transactions', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+  });
+
+  const operate = async (operation, answers) => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu[operation](createMockReadline(answers));
+    const lines = consoleSpy.mock.calls.map((call) => call[0]);
+    consoleSpy.mockRestore();
+    return lines;
+  };
+
+  test('should reverse a debit with an entry referencing the original', async () => {
+    await operate('debit', ['400.00']);
+
+    const lines = await operate('reverse', ['1', 'typed 400 instead of 40']);
+
+    expect(lines).toContainEqual(expect.stringContaining('Transaction 1 reversed. New balance: $1000.00'));
+    expect(DataStorage.ledger[1]).toMatchObject({
+      seq: 2, type: 'REVERSAL', amount: 40000, balance: 100000, outcome: 'Posted',
+      reverses: 1, reason: 'typed 400 instead of 40'
+    });
+  });
+
+  test('should reverse a credit', () => {
+    Operations.postCredit(DEFAULT_ACCOUNT, 5000);
+
+    const result = Operations.postReversal(1);
+
+    expect(result.outcome).toBe('Posted');
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(100000);
+  });
+
+  test('should not reverse the same transaction twice', () => {
+    Operations.postCredit(DEFAULT_ACCOUNT, 5000);
+    Operations.postReversal(1);
+
+    expect(() => Operations.postReversal(1)).toThrow('already reversed by transaction 2');
+    expect(DataStorage.ledger).toHaveLength(2);
+  });
+
+  test('reversing a credit should respect the insufficient funds check', () => {
+    Operations.postCredit(DEFAULT_ACCOUNT, 50000);
+    Operations.postDebit(DEFAULT_ACCOUNT, 120000);
+
+    const result = Operations.postReversal(1);
+
+    expect(result.outcome).toBe('Insufficient funds');
+    expect(DataStorage.accounts[DEFAULT_ACCOUNT].balance).toBe(30000);
+    expect(DataStorage.ledger[2]).toMatchObject({ type: 'REVERSAL', reverses: 1, outcome: 'Insufficient funds' });
+
+    // A rejected attempt does not count as a reversal
+    Operations.postCredit(DEFAULT_ACCOUNT, 100000);
+    expect(Operations.postReversal(1).outcome).toBe('Posted');
+  });
+
+  test('should refuse rejected entries, reversals and unknown numbers', () => {
+    Operations.postDebit(DEFAULT_ACCOUNT, 500000);
+    Operations.postCredit(DEFAULT_ACCOUNT, 100);
+    Operations.postReversal(2);
+
+    expect(() => Operations.postReversal(1)).toThrow(ReversalError);
+    expect(() => Operations.postReversal(3)).toThrow(ReversalError);
+    expect(() => Operations.postReversal(99)).toThrow('does not exist');
+  });
+
+  test('the menu should only reverse entries of the selected account', async () => {
+    DataStorage.openAccount('200', 0);
+    Operations.postCredit('200', 100);
+
+    const lines = await operate('reverse', ['1']);
+
+    expect(lines).toContainEqual(expect.stringContaining('not found for this account'));
+    expect(DataStorage.accounts['200'].balance).toBe(100);
+  });
+
+  test('reverse command should use its own exit code for refused reversals', () => {
+    Operations.postCredit(DEFAULT_ACCOUNT, 100);
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    expect(runCommand(parseOptions(['reverse', '1'], {}))).toBe(EXIT_CODES.OK);
+    expect(runCommand(parseOptions(['reverse', '1'], {}))).toBe(EXIT_CODES.NOT_REVERSIBLE);
+
+    errorSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+});
+
+describe('Debit policy', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    DataStorage.reset();
+  });
+
+  test('the default policy should reproduce IF FINAL-BALANCE >= AMOUNT', () => {
+    const account = DataStorage.getAccount(DEFAULT_ACCOUNT);
+
+    expect(DebitPolicy.of(account)).toEqual({ overdraftLimit: 0, maxDebit: null, dailyDebitLimit: null, approvalThreshold: null });
+    expect(DebitPolicy.check(account, 100000)).toBeNull();
+    expect(DebitPolicy.check(account, 100001)).toEqual({
+      outcome: 'Insufficient funds', message: 'Insufficient funds for this debit.'
+    });
+  });
+
+  test('an overdraft limit should let the balance go negative up to the limit', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { overdraftLimit: 20000 });
+
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 120000)).toMatchObject({ outcome: 'Posted', balance: -20000 });
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 1)).toMatchObject({
+      outcome: 'Overdraft limit exceeded',
+      message: 'Debit would exceed the overdraft limit of $200.00.'
+    });
+  });
+
+  test('should reject a single debit above the maximum', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { maxDebit: 5000 });
+
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 5001)).toMatchObject({
+      outcome: 'Debit limit exceeded',
+      message: 'Debit exceeds the maximum single debit of $50.00.'
+    });
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 5000).outcome).toBe('Posted');
+  });
+
+  test('should cap the total debited per day', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { dailyDebitLimit: 10000 });
+    Operations.postDebit(DEFAULT_ACCOUNT, 6000);
+
+    // Debits from earlier days do not count
+    DataStorage.ledger[0].timestamp = '2000-01-01T00:00:00.000Z';
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 6000).outcome).toBe('Posted');
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 4001)).toMatchObject({
+      outcome: 'Daily limit exceeded',
+      message: 'Debit would exceed the daily debit limit of $100.00 ($60.00 already debited today).'
+    });
+    expect(DataStorage.ledger[2].outcome).toBe('Daily limit exceeded');
+  });
+
+  test('should keep the policy with the account in the data file', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { maxDebit: 100, dailyDebitLimit: null });
+    const state = DataStorage.parseState(JSON.stringify({ version: 3, accounts: DataStorage.accounts, ledger: [] }));
+
+    expect(state.accounts[DEFAULT_ACCOUNT].policy).toEqual({ maxDebit: 100, dailyDebitLimit: null });
+    expect(() => DataStorage.setPolicy(DEFAULT_ACCOUNT, { overdraftLimit: null })).toThrow(InvalidAmountError);
+  });
+
+  test('policy command should show and change limits', () => {
+    DataStorage.setAdminPassword('correct horse');
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const exitCode = runCommand(parseOptions(['policy', 'overdraft=50', 'max-debit=none', '--json'],
+      { ACCOUNT_ADMIN_PASSWORD: 'correct horse' }));
+    const result = JSON.parse(logSpy.mock.calls[0][0]);
+    logSpy.mockRestore();
+
+    expect(exitCode).toBe(EXIT_CODES.OK);
+    expect(result).toEqual({
+      ok: true, account: DEFAULT_ACCOUNT, overdraftLimit: '50.00', maxDebit: 'none', dailyDebitLimit: 'none', approvalThreshold: 'none'
+    });
+  });
+
+  test('policy command should need the administrator password to change limits', () => {
+    DataStorage.setAdminPassword('correct horse');
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { approvalThreshold: 10000 });
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['policy', 'approval=none', '--user', 'alice'], {}))).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(runCommand(parseOptions(['policy', 'daily-limit=none'], { ACCOUNT_ADMIN_PASSWORD: 'wrong horse' })))
+      .toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(runCommand(parseOptions(['policy'], {}))).toBe(EXIT_CODES.OK);
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+
+    expect(DebitPolicy.of(DataStorage.accounts[DEFAULT_ACCOUNT]).approvalThreshold).toBe(10000);
+  });
+
+  test('debit command should exit with the limit code', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { maxDebit: 100 });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['debit', '2'], {}))).toBe(EXIT_CODES.DEBIT_LIMIT_EXCEEDED);
+    expect(errorSpy).toHaveBeenCalledWith('Debit exceeds the maximum single debit of $1.00.');
+    errorSpy.mockRestore();
+  });
+});
+
+describe('End-of-day processing', () => {
+  const realNow = Clock.now;
+
+  // Run the cycle on the evening of `date`
+  const runOn = (date) => {
+    Clock.now = () => new Date(`${date}T17:00:00Z`);
+    return EndOfDay.run(date);
+  };
+
+  beforeEach(() => {
+    DataStorage.reset();
+    Clock.now = () => new Date('2024-01-15T17:00:00Z');
+  });
+
+  afterEach(() => {
+    Clock.now = realNow;
+    DataStorage.reset();
+  });
+
+  test('should run once per business date', () => {
+    DataStorage.setTerms(DEFAULT_ACCOUNT, { lowBalanceThreshold: 200000, lowBalanceFee: 500 });
+
+    expect(EndOfDay.run()).toMatchObject({ date: '2024-01-15', alreadyRun: false, fees: { count: 1, total: 500 } });
+    expect(EndOfDay.run('2024-01-15')).toMatchObject({ alreadyRun: true, fees: { count: 0 } });
+    expect(DataStorage.readCents()).toBe(99500);
+    expect(DataStorage.lastBusinessDate).toBe('2024-01-15');
+    expect(() => EndOfDay.run('2024-01-14')).toThrow(EndOfDayError);
+  });
+
+  test('should accrue interest daily and post it at month end', () => {
+    // 10.00% on $1,000.00 is 27.3972 cents a day
+    DataStorage.setTerms(DEFAULT_ACCOUNT, { interestRate: 1000 });
+
+    runOn('2024-01-30');
+    expect(DataStorage.readCents()).toBe(100000);
+    expect(DataStorage.getAccount(DEFAULT_ACCOUNT).accruedInterest).toBe(273972);
+
+    expect(runOn('2024-01-31').interest).toEqual({ posted: 1, total: 54 });
+    expect(DataStorage.readCents()).toBe(100054);
+    expect(DataStorage.getAccount(DEFAULT_ACCOUNT).accruedInterest).toBe(7944);
+    expect(DataStorage.ledger[0]).toMatchObject({ type: 'INTEREST', amount: 54, outcome: 'Posted', businessDate: '2024-01-31' });
+  });
+
+  test('should charge the overdraft fee and never take a low balance negative', () => {
+    DataStorage.openAccount('000002', 300);
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { overdraftLimit: 10000 });
+    DataStorage.setTerms(DEFAULT_ACCOUNT, { overdraftFee: 1500 });
+    DataStorage.setTerms('000002', { lowBalanceThreshold: 1000, lowBalanceFee: 500 });
+    Operations.postDebit(DEFAULT_ACCOUNT, 105000);
+
+    EndOfDay.run();
+
+    expect(DataStorage.getAccount(DEFAULT_ACCOUNT).balance).toBe(-6500);
+    expect(DataStorage.getAccount('000002').balance).toBe(0);
+    expect(DataStorage.ledger.filter((entry) => entry.type === 'FEE').map((entry) => entry.reason))
+      .toEqual(['Overdraft fee', 'Low balance fee']);
+  });
+
+  test('should execute due standing orders and schedule the next run', () => {
+    DataStorage.openAccount('000002', 0);
+    const order = DataStorage.addStandingOrder({
+      from: DEFAULT_ACCOUNT, to: '000002', amount: 60000, frequency: 'monthly', startDate: '2024-01-31'
+    });
+
+    expect(runOn('2024-01-30').standingOrders).toEqual({ executed: 0, queued: 0, failed: 0 });
+    expect(runOn('2024-01-31').standingOrders).toEqual({ executed: 1, queued: 0, failed: 0 });
+    expect(order.nextDate).toBe('2024-02-29');
+    expect(DataStorage.getAccount('000002').balance).toBe(60000);
+
+    // The second run finds insufficient funds; the order stays active
+    expect(runOn('2024-02-29').standingOrders).toEqual({ executed: 0, queued: 0, failed: 1 });
+    expect(DataStorage.ledger[DataStorage.ledger.length - 1]).toMatchObject({
+      type: 'XFER-OUT', outcome: 'Insufficient funds', standingOrder: order.id
+    });
+    expect(order).toMatchObject({ status: 'active', nextDate: '2024-03-29' });
+  });
+
+  test('eod command should report the summary and reject a past date', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['eod', '--json'], {}))).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({ ok: true, date: '2024-01-15', alreadyRun: false });
+    expect(runCommand(parseOptions(['eod', '2024-01-01'], {}))).toBe(EXIT_CODES.INVALID_BUSINESS_DATE);
+    expect(errorSpy).toHaveBeenCalledWith('Business date 2024-01-01 is before the last processed date 2024-01-15.');
+    expect(runCommand(parseOptions(['eod', '2099-12-31'], {}))).toBe(EXIT_CODES.INVALID_BUSINESS_DATE);
+    expect(errorSpy).toHaveBeenLastCalledWith('Business date 2099-12-31 is in the future.');
+    expect(DataStorage.lastBusinessDate).toBe('2024-01-15');
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+});
+
+describe('Multi-currency accounts', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+    ExchangeRates.load({ base: 'USD', rates: { EUR: '0.92', JPY: '149.5' } });
+  });
+
+  afterEach(() => {
+    ExchangeRates.reset();
+    Money.rounding = 'truncate';
+    DataStorage.reset();
+  });
+
+  test('should parse and format amounts with the currency\'s minor units', () => {
+    expect(Currency.minorUnits('JPY')).toBe(0);
+    expect(Operations.parseAmount('1500', { currency: 'JPY' })).toBe(1500);
+    expect(Operations.parseAmount('1.234', { currency: 'KWD' })).toBe(1234);
+    expect(Display.amount(1500, 'JPY')).toBe('¥1500');
+    expect(Display.amount(-9250, 'EUR')).toBe('-€92.50');
+    expect(() => Currency.minorUnits('XYZ')).toThrow(CurrencyError);
+  });
+
+  test('should open accounts in their own currency and show it', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.openAccount(createMockReadline(['000002', '5000 JPY']));
+    DataStorage.selectAccount('000002');
+    await Menu.viewBalance(createMockReadline([]));
+
+    expect(DataStorage.getAccount('000002')).toMatchObject({ currency: 'JPY', balance: 5000 });
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Account 000002 opened. Opening balance: ¥5000'));
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Current balance: ¥5000'));
+    logSpy.mockRestore();
+  });
+
+  test('command output should use each account\'s own currency', () => {
+    const json = (argv) => JSON.parse(run([...argv, '--json']).stdout[0]);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-currency-'));
+    DataStorage.openAccount('000002', 5000, 'JPY');
+    DataStorage.openAccount('000003', 1000, 'KWD');
+    const { entry } = Operations.credit(1500, { account: '000002' });
+
+    expect(json(['reverse', String(entry.seq)])).toMatchObject({ currency: 'JPY', amount: '1500', balance: '5000' });
+
+    const file = path.join(dir, 'in.csv');
+    fs.writeFileSync(file, 'CREDIT,250,000002\nDEBIT,0.5,000003\n');
+    expect(json(['batch', file])).toMatchObject({
+      totalCredits: '250',
+      totalDebits: '0.500',
+      accounts: {
+        '000002': { currency: 'JPY', opening: '5000', closing: '5250' },
+        '000003': { currency: 'KWD', opening: '1.000', closing: '0.500' }
+      }
+    });
+    fs.writeFileSync(file, 'CREDIT,250,000002\nCREDIT,0.5,000003\n');
+    expect(json(['batch', file]).totalCredits).toBe('250 JPY, 0.500 KWD');
+
+    DataStorage.addStandingOrder({ from: '000002', to: DEFAULT_ACCOUNT, amount: 700, frequency: 'monthly', startDate: '2024-01-31' });
+    expect(json(['standing-order', 'list']).standingOrders[0].amount).toBe('700');
+
+    DataStorage.accounts['000002'].balance = Money.MAX;
+    expect(() => Operations.credit(1, { account: '000002' })).toThrow('Balance would exceed the maximum of 99999999.');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should convert a foreign credit through the rate table and record the conversion', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.credit(createMockReadline(['46.00 EUR']));
+
+    // 46.00 EUR / 0.92 = 50.00 USD
+    expect(DataStorage.readCents()).toBe(105000);
+    expect(DataStorage.ledger[0]).toMatchObject({
+      type: 'CREDIT', amount: 5000, foreignCurrency: 'EUR', foreignAmount: 4600, exchangeRate: '1.086956'
+    });
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Converted €46.00 to $50.00 at 1.086956.'));
+    logSpy.mockRestore();
+  });
+
+  test('should convert between two foreign currencies and apply the rounding mode', () => {
+    DataStorage.openAccount('000002', 0, 'JPY');
+
+    // 10.01 EUR = 10.880434 USD = 1626.625 JPY
+    expect(Operations.postCredit('000002', 1001, 'EUR').balance).toBe(1626);
+    Money.rounding = 'round';
+    expect(Operations.postCredit('000002', 1001, 'EUR').balance).toBe(1626 + 1627);
+  });
+
+  test('should check foreign debits against the converted amount', () => {
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 92001, 'EUR')).toMatchObject({ outcome: 'Insufficient funds', balance: 100000 });
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 92000, 'EUR')).toMatchObject({ outcome: 'Posted', balance: 0 });
+  });
+
+  test('should reject amounts without an exchange rate', async () => {
+    ExchangeRates.reset();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.credit(createMockReadline(['10 GBP']));
+
+    expect(logSpy).toHaveBeenCalledWith('No exchange rate for GBP.');
+    logSpy.mockRestore();
+    expect(DataStorage.ledger).toHaveLength(0);
+    expect(() => Operations.postCredit(DEFAULT_ACCOUNT, 100, 'EUR')).toThrow(CurrencyError);
+  });
+
+  test('transfers between currencies should credit the converted amount', () => {
+    DataStorage.openAccount('000002', 0, 'EUR');
+
+    const result = Operations.postTransfer(DEFAULT_ACCOUNT, '000002', 10000);
+
+    expect(result).toMatchObject({ outcome: 'Posted', balance: 90000 });
+    expect(DataStorage.getAccount('000002').balance).toBe(9200);
+    expect(DataStorage.ledger[1]).toMatchObject({ type: 'XFER-IN', amount: 9200, foreignCurrency: 'USD', foreignAmount: 10000 });
+  });
+
+  test('credit command should accept a currency and load the rate file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+    const ratesFile = path.join(dir, 'rates.json');
+    fs.writeFileSync(ratesFile, JSON.stringify({ base: 'EUR', rates: { USD: '1.25' } }));
+    ExchangeRates.open(ratesFile);
+    fs.rmSync(dir, { recursive: true, force: true });
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['credit', '8', 'EUR', '--json'], {}))).toBe(EXIT_CODES.OK);
+    expect(runCommand(parseOptions(['credit', '8', 'JPY'], {}))).toBe(EXIT_CODES.UNKNOWN_CURRENCY);
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      currency: 'USD', amount: '10.00', foreignCurrency: 'EUR', foreignAmount: '8.00', exchangeRate: '1.250000'
+    });
+    expect(errorSpy).toHaveBeenCalledWith('No exchange rate for JPY.');
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+});
+
+describe('PIN authentication', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    Pin.maxAttempts = 3;
+    DataStorage.reset();
+  });
+
+  test('should store only a salted hash of the PIN', () => {
+    DataStorage.openAccount('000002', 0);
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+    DataStorage.setPin('000002', '4321');
+    const first = DataStorage.getAccount(DEFAULT_ACCOUNT).pin;
+    const second = DataStorage.getAccount('000002').pin;
+
+    expect(JSON.stringify(first)).not.toContain('4321');
+    expect(first.salt).not.toBe(second.salt);
+    expect(first.hash).not.toBe(second.hash);
+    expect(() => DataStorage.setPin(DEFAULT_ACCOUNT, '12a4')).toThrow('PIN must be 4-8 digits.');
+  });
+
+  test('should lock the account after the configured number of wrong PINs', () => {
+    Pin.maxAttempts = 2;
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+
+    expect(DataStorage.checkPin(DEFAULT_ACCOUNT, '0000')).toEqual({ ok: false, locked: false, attemptsLeft: 1 });
+    expect(DataStorage.checkPin(DEFAULT_ACCOUNT, '4321')).toEqual({ ok: true, locked: false, attemptsLeft: 2 });
+    DataStorage.checkPin(DEFAULT_ACCOUNT, '0000');
+    expect(DataStorage.checkPin(DEFAULT_ACCOUNT, '0000')).toEqual({ ok: false, locked: true, attemptsLeft: 0 });
+    // Once locked even the right PIN is refused
+    expect(DataStorage.checkPin(DEFAULT_ACCOUNT, '4321').ok).toBe(false);
+  });
+
+  test('the menu should have a PIN chosen for an account without one', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    expect(await Menu.authenticate(createMockReadline(['1234', '9999']), DEFAULT_ACCOUNT)).toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('PINs do not match.'));
+    expect(await Menu.authenticate(createMockReadline(['1234', '1234']), DEFAULT_ACCOUNT)).toBe(true);
+    expect(await Menu.authenticate(createMockReadline(['1234']), DEFAULT_ACCOUNT)).toBe(true);
+    logSpy.mockRestore();
+  });
+
+  test('the menu should report remaining attempts and the lock', async () => {
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    expect(await Menu.authenticate(createMockReadline(['1', '2', '3']), DEFAULT_ACCOUNT)).toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Incorrect PIN. 1 attempt(s) left.'));
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Account 000001 is locked. Please contact an administrator.'));
+    logSpy.mockRestore();
+  });
+
+  test('reset-pin should let an administrator unlock the account', () => {
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+    DataStorage.getAccount(DEFAULT_ACCOUNT).pin.locked = true;
+    DataStorage.setAdminPassword('correct horse');
+    Audit.reset();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['reset-pin', DEFAULT_ACCOUNT], {}))).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(runCommand(parseOptions(['reset-pin', DEFAULT_ACCOUNT], { ACCOUNT_ADMIN_PASSWORD: 'wrong horse' })))
+      .toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(errorSpy).toHaveBeenLastCalledWith('This needs the administrator password (ACCOUNT_ADMIN_PASSWORD).');
+    expect(DataStorage.getAccount(DEFAULT_ACCOUNT).pin.locked).toBe(true);
+
+    expect(runCommand(parseOptions(['reset-pin', DEFAULT_ACCOUNT], { ACCOUNT_ADMIN_PASSWORD: 'correct horse' })))
+      .toBe(EXIT_CODES.OK);
+    expect(DataStorage.getAccount(DEFAULT_ACCOUNT).pin).toBeUndefined();
+    expect(Audit.lines().map((line) => JSON.parse(line))).toEqual([expect.objectContaining({ operation: 'RESET-PIN', account: DEFAULT_ACCOUNT, outcome: 'Reset' })]);
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    expect(parseOptions(['--max-pin-attempts', '5'], {}).maxPinAttempts).toBe(5);
+    expect(parseOptions([], { ACCOUNT_MAX_PIN_ATTEMPTS: '4' }).maxPinAttempts).toBe(4);
+  });
+
+  test('commands should need the PIN of an account that has one and refuse a locked one', () => {
+    Pin.maxAttempts = 2;
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+    expect(run(['debit', '100'])).toEqual({ exitCode: EXIT_CODES.NOT_AUTHORIZED, stdout: [], stderr: [`Account ${DEFAULT_ACCOUNT} needs its PIN.`] });
+    expect(run(['debit', '100'], { ACCOUNT_PIN: '4321' }).exitCode).toBe(EXIT_CODES.OK);
+    expect(run(['balance'], { ACCOUNT_PIN: '0000' })).toEqual({
+      exitCode: EXIT_CODES.NOT_AUTHORIZED, stdout: [], stderr: ['Incorrect PIN. 1 attempt(s) left.']
+    });
+    expect(run(['reverse', '1'], { ACCOUNT_PIN: '0000' }).exitCode).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(run(['debit', '100'], { ACCOUNT_PIN: '4321' })).toEqual({
+      exitCode: EXIT_CODES.NOT_AUTHORIZED, stdout: [], stderr: [`Account ${DEFAULT_ACCOUNT} is locked. Please contact an administrator.`]
+    });
+    expect(DataStorage.read()).toBe(900.00);
+  });
+
+  test('admin-password should need the current password once one is set', () => {
+    expect(run(['reset-pin', DEFAULT_ACCOUNT], { ACCOUNT_ADMIN_PASSWORD: 'anything' }).exitCode).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(run(['admin-password', 'short']).exitCode).toBe(EXIT_CODES.USAGE);
+    expect(run(['admin-password', 'first password']).exitCode).toBe(EXIT_CODES.OK);
+    expect(JSON.stringify(DataStorage.admin)).not.toContain('first password');
+
+    expect(run(['admin-password', 'second password']).exitCode).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(run(['admin-password', 'second password'], { ACCOUNT_ADMIN_PASSWORD: 'first password' }).exitCode).toBe(EXIT_CODES.OK);
+    expect(() => Admin.authorize('first password')).toThrow(AuthenticationError);
+    expect(() => Admin.authorize('second password')).not.toThrow();
+  });
+});
+
+describe('Concurrent access from several processes', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-system-'));
+    file = path.join(dir, 'balance.json');
+  });
+
+  afterEach(() => {
+    DataStorage.file = null;
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // One teller process: `rounds` credits of $1.00 and debits of $0.50
+  const runTeller = (rounds) => new Promise((resolve, reject) => {
+    const script = `
+      const { DataStorage, Operations, DEFAULT_ACCOUNT } = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+      DataStorage.open(${JSON.stringify(file)});
+      for (let i = 0; i < ${rounds}; i++) {
+        Operations.postCredit(DEFAULT_ACCOUNT, 100);
+        Operations.postDebit(DEFAULT_ACCOUNT, 50);
+      }
+    `;
+    execFile(process.execPath, ['-e', script], (err, stdout, stderr) => (err ? reject(new Error(stderr)) : resolve()));
+  });
+
+  test('should not lose updates when several processes hammer the same account', async () => {
+    DataStorage.open(file);
+
+    await Promise.all([runTeller(25), runTeller(25), runTeller(25), runTeller(25)]);
+
+    DataStorage.refresh();
+    expect(DataStorage.readCents()).toBe(100000 + 4 * 25 * 50);
+    expect(DataStorage.ledger).toHaveLength(200);
+    expect(DataStorage.ledger.map((entry) => entry.seq)).toEqual(Array.from({ length: 200 }, (_, i) => i + 1));
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  }, 60000);
+
+  test('should see another process\'s changes before changing the balance', () => {
+    DataStorage.open(file);
+    const other = JSON.parse(fs.readFileSync(file, 'utf8'));
+    other.accounts[DEFAULT_ACCOUNT].balance = 50000;
+    fs.writeFileSync(file, JSON.stringify(other));
+
+    expect(Operations.postDebit(DEFAULT_ACCOUNT, 60000).outcome).toBe('Insufficient funds');
+    expect(Operations.postCredit(DEFAULT_ACCOUNT, 100).balance).toBe(50100);
+  });
+
+  test('should take over a lock left by a process that has exited and time out on a live one', () => {
+    DataStorage.open(file);
+    fs.writeFileSync(`${file}.lock`, '999999999');
+    expect(Operations.postCredit(DEFAULT_ACCOUNT, 100).outcome).toBe('Posted');
+
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+    const now = jest.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValue(Number.MAX_SAFE_INTEGER);
+    expect(() => Operations.postCredit(DEFAULT_ACCOUNT, 100)).toThrow(StorageError);
+    now.mockRestore();
+    fs.unlinkSync(`${file}.lock`);
+    expect(DataStorage.readCents()).toBe(100100);
+  });
+
+  test('should leave a stale lock alone while another process is taking it over', () => {
+    DataStorage.open(file);
+    fs.writeFileSync(`${file}.lock`, '999999999');
+    fs.writeFileSync(`${file}.lock.takeover`, String(process.ppid));
+    const now = jest.spyOn(Date, 'now').mockReturnValueOnce(0).mockReturnValue(Number.MAX_SAFE_INTEGER);
+    expect(() => Operations.postCredit(DEFAULT_ACCOUNT, 100)).toThrow(StorageError);
+    now.mockRestore();
+    expect(fs.readFileSync(`${file}.lock`, 'utf8')).toBe('999999999');
+
+    fs.writeFileSync(`${file}.lock.takeover`, '999999999');
+    expect(Operations.postCredit(DEFAULT_ACCOUNT, 100).outcome).toBe('Posted');
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    expect(fs.existsSync(`${file}.lock.takeover`)).toBe(false);
+  });
+
+  test('should not release a lock another process holds by then', () => {
+    DataStorage.open(file);
+    DataStorage.withLock(() => fs.writeFileSync(`${file}.lock`, String(process.ppid)));
+    expect(fs.readFileSync(`${file}.lock`, 'utf8')).toBe(String(process.ppid));
+  });
+});
+
+describe('Domain events', () => {
+  beforeEach(() => {
+    DataStorage.reset();
+  });
+
+  afterEach(() => {
+    Events.reset();
+    DataStorage.reset();
+  });
+
+  test('should publish credits and debits with the full ledger entry', () => {
+    const events = [];
+    Events.on('credited', (event) => events.push(event));
+    Events.on('debited', (event) => events.push(event));
+
+    Operations.postCredit(DEFAULT_ACCOUNT, 2500);
+    Operations.postDebit(DEFAULT_ACCOUNT, 1000);
+
+    expect(events).toEqual([
+      expect.objectContaining({ event: 'credited', account: DEFAULT_ACCOUNT, currency: 'USD', type: 'CREDIT', amount: 2500, balance: 102500 }),
+      expect.objectContaining({ event: 'debited', type: 'DEBIT', amount: 1000, balance: 101500, outcome: 'Posted' })
+    ]);
+    expect(events[1].entry).toEqual(DataStorage.ledger[1]);
+  });
+
+  test('should publish rejected debits and transfers', () => {
+    DataStorage.openAccount('000002', 0);
+    const rejected = [];
+    Events.on('debitRejected', (event) => rejected.push(event));
+
+    Operations.postDebit(DEFAULT_ACCOUNT, 200000);
+    Operations.postTransfer('000002', DEFAULT_ACCOUNT, 100);
+
+    expect(rejected.map((event) => [event.type, event.account, event.outcome])).toEqual([
+      ['DEBIT', DEFAULT_ACCOUNT, 'Insufficient funds'],
+      ['XFER-OUT', '000002', 'Insufficient funds']
+    ]);
+  });
+
+  test('should publish when the balance falls below the low-balance threshold', () => {
+    DataStorage.setTerms(DEFAULT_ACCOUNT, { lowBalanceThreshold: 50000 });
+    const alerts = [];
+    Events.on('balanceBelowThreshold', (event) => alerts.push(event));
+
+    Operations.postDebit(DEFAULT_ACCOUNT, 40000);
+    Operations.postDebit(DEFAULT_ACCOUNT, 20000);
+    Operations.postDebit(DEFAULT_ACCOUNT, 10000);
+
+    // Only crossing the threshold counts, not staying below it
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ threshold: 50000, balance: 40000, amount: 20000 });
+  });
+
+  test('should publish only after the change is saved', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-system-'));
+    const file = path.join(dir, 'balance.json');
+    DataStorage.open(file);
+    const seen = [];
+    Events.on('credited', () => seen.push(JSON.parse(fs.readFileSync(file, 'utf8')).accounts[DEFAULT_ACCOUNT].balance));
+
+    Operations.postCredit(DEFAULT_ACCOUNT, 100);
+    // A unit of work that fails after the credit is rolled back and publishes nothing
+    expect(() => DataStorage.transaction(() => {
+      Operations.postCredit(DEFAULT_ACCOUNT, 100);
+      throw new Error('failed after the credit');
+    })).toThrow('failed after the credit');
+
+    DataStorage.file = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+    expect(seen).toEqual([100100]);
+  });
+
+  test('a failing subscriber should not break the operation or other subscribers', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const calls = [];
+    Events.on('credited', () => { throw new Error('mail server down'); });
+    Events.on('credited', async () => { throw new Error('webhook down'); });
+    Events.on('credited', () => calls.push('notified'));
+
+    const result = Operations.postCredit(DEFAULT_ACCOUNT, 100);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(result.outcome).toBe('Posted');
+    expect(calls).toEqual(['notified']);
+    expect(errorSpy).toHaveBeenCalledWith("Subscriber to 'credited' failed: mail server down");
+    expect(errorSpy).toHaveBeenCalledWith("Subscriber to 'credited' failed: webhook down");
+    errorSpy.mockRestore();
+  });
+
+  test('should reject unknown events and allow unsubscribing', () => {
+    const calls = [];
+    const unsubscribe = Events.on('credited', () => calls.push(1));
+    unsubscribe();
+    Operations.postCredit(DEFAULT_ACCOUNT, 100);
+
+    expect(calls).toEqual([]);
+    expect(() => Events.on('credit', () => {})).toThrow("Unknown event 'credit'");
+  });
+});
+
+describe('Scripted sessions', () => {
+  const sessions = path.join(__dirname, 'sessions');
+  const scripts = fs.readdirSync(sessions).filter((file) => file.endsWith('.script'));
+  let dir;
+
+  beforeEach(() => {
+    DataStorage.reset();
+    Display.mode = 'cobol';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-sessions-'));
+  });
+
+  afterEach(() => {
+    Display.mode = 'modern';
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.each(scripts)('%s should match its golden transcript', async (script) => {
+    const result = await Session.replay(path.join(sessions, script));
+
+    expect(result.diff).toEqual([]);
+    expect(result.status).toBe('match');
+  });
+
+  test('should capture prompts and answers but not PINs', async () => {
+    const transcript = await Session.run(['4321', '4321', '1', '4']);
+
+    expect(transcript).not.toContain('4321');
+    expect(transcript).toContain('Enter your choice (1-4): \n1\nCurrent balance: 001000.00\n');
+    expect(transcript.endsWith('Exiting the program. Goodbye!\n')).toBe(true);
+  });
+
+  test('a legacy replay should skip choosing a PIN but still ask for one that is set', async () => {
+    const script = path.join(dir, 'balance.script');
+    fs.writeFileSync(script, '1\n4\n');
+
+    expect((await Session.replay(script, { record: true })).status).toBe('recorded');
+    expect(fs.readFileSync(path.join(dir, 'balance.transcript'), 'utf8')).not.toContain('PIN');
+
+    DataStorage.setPin(DEFAULT_ACCOUNT, '1234');
+    await expect(Session.replay(script)).rejects.toThrow(SessionError);
+    Display.mode = 'modern';
+    DataStorage.reset();
+    expect((await Session.replay(script)).diff).toContain('+ Account 000001 has no PIN yet. Please choose one.');
+  });
+
+  test('should fail when the script ends before the session exits', async () => {
+    await expect(Session.run(['1234', '1234', '1'])).rejects.toThrow(SessionError);
+  });
+
+  test('should report the differing lines and record a new golden transcript', async () => {
+    const script = path.join(dir, 'credit.script');
+    fs.writeFileSync(script, '# TC2 with a different amount\n2\n400.00\n1\n4\n');
+    fs.copyFileSync(path.join(sessions, 'tc2-credit.transcript'), path.join(dir, 'credit.transcript'));
+
+    const mismatch = await Session.replay(script);
+    expect(mismatch.status).toBe('mismatch');
+    expect(mismatch.diff).toEqual([
+      '- 500.00',
+      '- Amount credited. New balance: 001500.00',
+      '+ 400.00',
+      '+ Amount credited. New balance: 001400.00',
+      '- Current balance: 001500.00',
+      '+ Current balance: 001400.00'
+    ]);
+
+    DataStorage.reset();
+    expect((await Session.replay(script, { record: true })).status).toBe('recorded');
+    DataStorage.reset();
+    expect((await Session.replay(script)).status).toBe('match');
+  });
+
+  test('replay command should exit non-zero unless every transcript matches', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const script = path.join(dir, 'tc1.script');
+    fs.copyFileSync(path.join(sessions, 'tc1-view-balance.script'), script);
+
+    expect(await runReplay(parseOptions(['replay', script], {}))).toBe(EXIT_CODES.TRANSCRIPT_MISMATCH);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('no golden transcript'));
+    expect(await runReplay(parseOptions(['replay', script, '--record'], {}))).toBe(EXIT_CODES.OK);
+    expect(await runReplay(parseOptions(['replay', script], {}))).toBe(EXIT_CODES.OK);
+    expect(consoleSpy).toHaveBeenLastCalledWith(`PASS ${script}`);
+    expect(await runReplay(parseOptions(['replay'], {}))).toBe(EXIT_CODES.USAGE);
+
+    consoleSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('replay should start every script afresh and never post to the data file', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    const file = path.join(dir, 'balance.json');
+    const options = parseOptions(['replay', ...scripts.map((script) => path.join(sessions, script))],
+      { ACCOUNT_DATA_FILE: file, ACCOUNT_COMPAT: 'cobol', LANG: 'en' });
+    DataStorage.open(file);
+    Audit.open(`${file}.audit`);
+    const saved = fs.readFileSync(file, 'utf8');
+
+    expect(await runReplay(options)).toBe(EXIT_CODES.OK);
+    expect(fs.readFileSync(file, 'utf8')).toBe(saved);
+    expect(fs.existsSync(`${file}.audit`)).toBe(false);
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('Statement export', () => {
+  const realNow = Clock.now;
+  let dir;
+
+  // Credit 500.00 on Jan 10, debit 200.00 and transfer 100.00 on Jan 11,
+  // reverse the credit on Jan 12, then view the balance
+  const postActivity = () => {
+    DataStorage.openAccount('000002', 0);
+    Clock.now = () => new Date('2024-01-10T09:00:00Z');
+    const credit = Operations.credit(50000);
+    Clock.now = () => new Date('2024-01-11T09:00:00Z');
+    Operations.debit(20000);
+    expect(() => Operations.debit(500000)).toThrow(InsufficientFundsError);
+    Operations.transfer('000002', 10000);
+    Clock.now = () => new Date('2024-01-12T09:00:00Z');
+    Operations.reverse(credit.entry.seq, 'Posted twice, ref "A1"');
+  };
+
+  beforeEach(() => {
+    DataStorage.reset();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-export-'));
+    postActivity();
+  });
+
+  afterEach(() => {
+    Clock.now = realNow;
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should end on the balance viewBalance reports', () => {
+    const statement = Statement.of(DEFAULT_ACCOUNT);
+
+    expect(statement.openingBalance).toBe(100000);
+    expect(statement.closingBalance).toBe(Operations.balance().balance);
+    expect(statement.entries.map((entry) => entry.type)).toEqual(['CREDIT', 'DEBIT', 'XFER-OUT', 'REVERSAL']);
+    expect(statement.entries.map(Statement.signedAmount)).toEqual([50000, -20000, -10000, -50000]);
+  });
+
+  test('should carry the balance before the range as the opening balance', () => {
+    const statement = Statement.of(DEFAULT_ACCOUNT, { from: '2024-01-11', to: '2024-01-11' });
+
+    expect(statement.openingBalance).toBe(150000);
+    expect(statement.closingBalance).toBe(120000);
+    expect(statement.entries).toHaveLength(2);
+    expect(Statement.of(DEFAULT_ACCOUNT, { from: '2024-02-01' })).toMatchObject({
+      openingBalance: 70000, closingBalance: 70000, entries: []
+    });
+  });
+
+  test('CSV should list the transactions between opening and closing rows', () => {
+    const csv = Statement.format(Statement.of(DEFAULT_ACCOUNT, { from: '2024-01-01', to: '2024-01-31' }), 'csv');
+
+    expect(csv).toBe([
+      'Date,Seq,Type,Description,Amount,Balance',
+      '2024-01-01,,OPENING,,,1000.00',
+      '2024-01-10,1,CREDIT,,500.00,1500.00',
+      '2024-01-11,2,DEBIT,,-200.00,1300.00',
+      '2024-01-11,4,XFER-OUT,Transfer to 000002,-100.00,1200.00',
+      '2024-01-12,6,REVERSAL,"Reversal of #1; Posted twice, ref ""A1""",-500.00,700.00',
+      '2024-01-31,,CLOSING,,,700.00',
+      ''
+    ].join('\n'));
+  });
+
+  test('JSON should give the balances and signed amounts', () => {
+    const json = JSON.parse(Statement.format(Statement.of('000002'), 'json'));
+
+    expect(json).toMatchObject({ account: '000002', currency: 'USD', openingBalance: '0.00', closingBalance: '100.00' });
+    expect(json.transactions).toEqual([{
+      seq: 5,
+      timestamp: '2024-01-11T09:00:00.000Z',
+      type: 'XFER-IN',
+      description: 'Transfer from 000001',
+      amount: '100.00',
+      balance: '100.00'
+    }]);
+  });
+
+  test('OFX should hold the transactions and both balances', () => {
+    const ofx = Statement.format(Statement.of(DEFAULT_ACCOUNT, { from: '2024-01-01', to: '2024-01-31' }), 'ofx');
+
+    expect(ofx.match(/<STMTTRN>/g)).toHaveLength(4);
+    expect(ofx).toContain('<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>000001</ACCTID>');
+    expect(ofx).toContain('<STMTTRN><TRNTYPE>XFER</TRNTYPE><DTPOSTED>20240111090000</DTPOSTED><TRNAMT>-100.00</TRNAMT>');
+    expect(ofx).toContain('<TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240112090000</DTPOSTED><TRNAMT>-500.00</TRNAMT>');
+    expect(ofx).toContain('<LEDGERBAL><BALAMT>700.00</BALAMT><DTASOF>20240131</DTASOF></LEDGERBAL>');
+    expect(ofx).toContain('<VALUE>1000.00</VALUE><DTASOF>20240101</DTASOF>');
+  });
+
+  test('export command should write the format given by the file extension', () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation();
+    const file = path.join(dir, 'statement.json');
+
+    const exitCode = runCommand(parseOptions(['export', file, '--from', '2024-01-11', '--json'], {}));
+
+    expect(exitCode).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toMatchObject({
+      ok: true, format: 'json', transactions: 3, openingBalance: '1500.00', closingBalance: '700.00'
+    });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).transactions).toHaveLength(3);
+    logSpy.mockRestore();
+  });
+
+  test('export command should reject an unknown format or a bad date', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(runCommand(parseOptions(['export', path.join(dir, 'statement.txt')], {}))).toBe(EXIT_CODES.USAGE);
+    expect(runCommand(parseOptions(['export', path.join(dir, 'a.csv'), '--to=2024-02-30'], {}))).toBe(EXIT_CODES.USAGE);
+    expect(errorSpy).toHaveBeenLastCalledWith("Invalid date '2024-02-30' (use YYYY-MM-DD)");
+    expect(fs.readdirSync(dir)).toEqual([]);
+    errorSpy.mockRestore();
+  });
+});
+
+describe('Reconciliation', () => {
+  const realNow = Clock.now;
+  let dir;
+
+  beforeEach(() => {
+    DataStorage.reset();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-reconcile-'));
+    DataStorage.openAccount('000002', 0);
+    Operations.credit(50000);
+    const { entry } = Operations.debit(20000);
+    expect(() => Operations.debit(500000)).toThrow(InsufficientFundsError);
+    Operations.transfer('000002', 10000);
+    Operations.reverse(entry.seq);
+  });
+
+  afterEach(() => {
+    Clock.now = realNow;
+    DataStorage.file = null;
+    DataStorage.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should match after credits, debits, transfers, reversals, fees and interest', () => {
+    Clock.now = () => new Date('2024-01-31T17:00:00Z');
+    DataStorage.setTerms(DEFAULT_ACCOUNT, { interestRate: 1000, lowBalanceThreshold: 200000, lowBalanceFee: 500 });
+    EndOfDay.run();
+
+    expect(Reconcile.run()).toEqual({ accounts: 2, entries: 7, mismatches: [] });
+    expect(run(['reconcile'])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: ['Reconciled 7 transaction(s) across 2 account(s).\nAll balances match the ledger.'],
+      stderr: []
+    });
+  });
+
+  test('should report a balance changed outside the ledger', () => {
+    DataStorage.accounts['000002'].balance = 99900;
+
+    expect(Reconcile.run().mismatches).toEqual([{
+      account: '000002', replayed: 10000, stored: 99900, difference: 89900, lastRecorded: 10000, entries: []
+    }]);
+    const { exitCode, stdout } = run(['reconcile']);
+    expect(exitCode).toBe(EXIT_CODES.RECONCILIATION_MISMATCH);
+    expect(stdout[0]).toContain('Account 000002: stored $999.00, ledger gives $100.00 (difference $899.00)');
+    expect(stdout[0]).toContain('changed outside the ledger');
+  });
+
+  test('should name the transaction whose amount was altered in the data file', () => {
+    const file = path.join(dir, 'data.json');
+    DataStorage.open(file);
+    Operations.credit(1000);
+    Operations.debit(500);
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    state.ledger[0].amount = 100;
+    fs.writeFileSync(file, JSON.stringify(state));
+    DataStorage.refresh();
+
+    const { exitCode, stdout } = run(['reconcile', '--json']);
+
+    expect(exitCode).toBe(EXIT_CODES.RECONCILIATION_MISMATCH);
+    expect(JSON.parse(stdout[0])).toEqual({
+      ok: false,
+      accounts: 1,
+      transactions: 2,
+      mismatches: [{
+        account: DEFAULT_ACCOUNT,
+        stored: '1005.00',
+        replayed: '996.00',
+        difference: '9.00',
+        lastRecorded: '1005.00',
+        transactions: [1]
+      }]
+    });
+  });
+});
+
+describe('Locales', () => {
+  const runDialog = async (operation, answers) => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu[operation](createMockReadline(answers));
+    const lines = consoleSpy.mock.calls.map((call) => call[0]);
+    consoleSpy.mockRestore();
+    return lines;
+  };
+
+  beforeEach(() => {
+    DataStorage.reset();
+    Locale.current = 'de';
+  });
+
+  afterEach(() => {
+    Locale.current = 'en';
+    DataStorage.reset();
+  });
+
+  test('should pick the catalog from --locale or LANG and fall back to English', () => {
+    expect(parseOptions(['--locale', 'de-DE'], { LANG: 'fr_FR.UTF-8' }).locale).toBe('de-DE');
+    expect(parseOptions([], { LANG: 'de_DE.UTF-8' }).locale).toBe('de_DE.UTF-8');
+    expect(parseOptions([], {}).locale).toBeNull();
+    expect(Locale.resolve('de-DE')).toBe('de');
+    expect(Locale.resolve('de_AT.UTF-8')).toBe('de');
+    expect(Locale.resolve('fr_FR.UTF-8')).toBe('en');
+    expect(Locale.resolve('C')).toBe('en');
+    expect(Locale.resolve(null)).toBe('en');
+  });
+
+  test('command arguments should be read in English unless --locale is given', () => {
+    const env = { LANG: 'de_DE.UTF-8' };
+
+    expect(parseOptions(['credit', '1'], env)).toMatchObject({ locale: 'de_DE.UTF-8', inputLocale: 'en' });
+    expect(run(['credit', '250.00'], env).exitCode).toBe(EXIT_CODES.OK);
+    expect(run(['credit', '1.000'], env).exitCode).toBe(EXIT_CODES.INVALID_AMOUNT);
+    expect(DataStorage.readCents()).toBe(125000);
+    expect(run(['credit', '1.000', '--locale', 'de-DE'], env).exitCode).toBe(EXIT_CODES.OK);
+    expect(DataStorage.readCents()).toBe(225000);
+  });
+
+  test('should translate messages and fall back to the English text', () => {
+    expect(Locale.t('Account {number} selected.', { number: '000002' })).toBe('Konto 000002 ausgewählt.');
+    expect(Locale.t('Not in any catalog: {value}', { value: 1 })).toBe('Not in any catalog: 1');
+    Locale.current = 'en';
+    expect(Locale.t('Account {number} selected.', { number: '000002' })).toBe('Account 000002 selected.');
+  });
+
+  test('every catalog entry should be a message the program uses', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+    for (const [key, text] of Object.entries(MESSAGES.de)) {
+      expect(source.split(key).length).toBeGreaterThan(2);
+      const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+      expect(placeholders(text)).toEqual(placeholders(key));
+    }
+  });
+
+  test('should format amounts with German separators', () => {
+    expect(Display.amount(123456)).toBe('1.234,56 $');
+    expect(Display.amount(-5, 'EUR')).toBe('-0,05 €');
+    expect(Display.amount(1500000, 'JPY')).toBe('1.500.000 ¥');
+    expect(Display.amount(123456, 'CHF')).toBe('1.234,56 CHF');
+  });
+
+  test('should parse amounts with German separators', () => {
+    expect(Operations.parseAmount('1.234,56')).toBe(123456);
+    expect(Operations.parseAmount('12,5')).toBe(1250);
+    expect(Operations.parseMoney('1.234,56 €')).toEqual({ amount: 123456, currency: 'EUR' });
+    expect(() => Operations.parseAmount('1,234.56')).toThrow(
+      "Ungültiger Betrag. Unerwartetes '.56' nach der Zahl.");
+    expect(() => Operations.parseAmount('1.23')).toThrow(
+      'Ungültiger Betrag. Tausendertrennzeichen müssen Gruppen von drei Ziffern trennen.');
+    // Batch files and API requests are not localized
+    expect(Operations.parseAmount('1,234.56', { locale: 'en' })).toBe(123456);
+  });
+
+  test('the menu should speak German', async () => {
+    expect(await runDialog('credit', ['1.234,56'])).toEqual(['\nBetrag gutgeschrieben. Neuer Kontostand: 2.234,56 $\n']);
+    expect(await runDialog('debit', ['5.000'])).toEqual(['\nDeckung für diese Lastschrift nicht ausreichend.\n']);
+    DataStorage.openAccount('000002', 0);
+    expect(await runDialog('transfer', ['000002', '5.000'])).toEqual(['\nDeckung für diese Überweisung nicht ausreichend.\n']);
+    expect(await runDialog('viewBalance', [])).toEqual(['\nAktueller Kontostand: 2.234,56 $\nVerfügbarer Betrag: 2.234,56 $\n']);
+  });
+});
+
+describe('Holds', () => {
+  const realNow = Clock.now;
+
+  beforeEach(() => {
+    DataStorage.reset();
+    Clock.now = () => new Date('2024-03-01T09:00:00Z');
+  });
+
+  afterEach(() => {
+    Clock.now = realNow;
+    Holds.expiryHours = 168;
+    Display.mode = 'modern';
+    DataStorage.reset();
+  });
+
+  test('a hold should reduce the available balance without posting', async () => {
+    const result = Operations.hold(30000);
+
+    expect(result).toMatchObject({ account: DEFAULT_ACCOUNT, balance: 100000, available: 70000 });
+    expect(result.hold).toMatchObject({ id: 1, amount: 30000, status: 'active', expiresAt: '2024-03-08T09:00:00.000Z' });
+    expect(DataStorage.ledger).toEqual([expect.objectContaining({ type: 'HOLD', amount: 30000, balance: 100000, outcome: 'Held', holdId: 1 })]);
+
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.viewBalance(createMockReadline([]));
+    expect(consoleSpy).toHaveBeenCalledWith('\nCurrent balance: $1000.00\nAvailable balance: $700.00\n');
+    consoleSpy.mockRestore();
+  });
+
+  test('debits and further holds should be checked against the available balance', () => {
+    Operations.hold(80000);
+
+    expect(() => Operations.debit(30000)).toThrow(InsufficientFundsError);
+    expect(() => Operations.hold(30000)).toThrow(InsufficientFundsError);
+    expect(DataStorage.ledger[DataStorage.ledger.length - 1]).toMatchObject({ type: 'HOLD', outcome: 'Insufficient funds' });
+    expect(Operations.debit(20000).balance).toBe(80000);
+    expect(Operations.balance().available).toBe(0);
+  });
+
+  test('holds placed today should count towards the daily debit limit', () => {
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { dailyDebitLimit: 10000 });
+    const { hold } = Operations.hold(9000);
+
+    expect(() => Operations.hold(9000)).toThrow(
+      'Debit would exceed the daily debit limit of $100.00 ($90.00 already debited today).');
+    expect(() => Operations.debit(1500)).toThrow(DebitLimitError);
+
+    // Once captured the hold counts as the debit it became, not twice
+    Operations.capture(hold.id);
+    expect(Operations.debit(1000).balance).toBe(90000);
+    expect(() => Operations.debit(1)).toThrow(DebitLimitError);
+  });
+
+  test('a partial capture should post a debit and release the rest', () => {
+    const { hold } = Operations.hold(30000);
+    const result = Operations.capture(hold.id, 12500);
+
+    expect(result).toMatchObject({ type: 'DEBIT', amount: 12500, balance: 87500 });
+    expect(result.entry).toMatchObject({ outcome: 'Posted', holdId: hold.id });
+    expect(DataStorage.ledger[DataStorage.ledger.length - 1]).toMatchObject({ type: 'RELEASE', amount: 17500, outcome: 'Released' });
+    expect(Operations.balance()).toMatchObject({ balance: 87500, available: 87500 });
+    expect(() => Operations.capture(hold.id)).toThrow('Hold 1 was already captured.');
+    expect(Reconcile.run().mismatches).toEqual([]);
+  });
+
+  test('capture should refuse more than the hold and release should free it', () => {
+    const { hold } = Operations.hold(30000);
+
+    expect(() => Operations.capture(hold.id, 30001)).toThrow(HoldError);
+    expect(Operations.release(hold.id)).toMatchObject({ balance: 100000, available: 100000 });
+    expect(() => Operations.release(hold.id)).toThrow('Hold 1 was already released.');
+    expect(() => Operations.release(99)).toThrow('Hold 99 does not exist.');
+  });
+
+  test('a hold should expire after the configured time', () => {
+    Holds.expiryHours = 24;
+    const { hold } = Operations.hold(30000);
+
+    Clock.now = () => new Date('2024-03-02T09:00:00Z');
+    expect(Operations.balance().available).toBe(100000);
+    expect(() => Operations.capture(hold.id)).toThrow('Hold 1 has expired.');
+
+    EndOfDay.run();
+    expect(DataStorage.holds[0].status).toBe('expired');
+    expect(DataStorage.ledger[DataStorage.ledger.length - 1]).toMatchObject({ type: 'RELEASE', amount: 30000, outcome: 'Expired' });
+  });
+
+  test('an account with pending holds should not close', () => {
+    DataStorage.openAccount('000002', 0);
+    DataStorage.setPolicy('000002', { overdraftLimit: 5000 });
+    const { hold } = Operations.hold(5000, { account: '000002' });
+
+    expect(() => DataStorage.closeAccount('000002')).toThrow('Account 000002 has pending holds and cannot be closed.');
+    Operations.release(hold.id);
+    DataStorage.closeAccount('000002');
+    expect(DataStorage.accounts['000002'].status).toBe('closed');
+  });
+
+  test('the legacy display should only show the available balance while funds are held', async () => {
+    Display.mode = 'cobol';
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.viewBalance(createMockReadline([]));
+    Operations.hold(100);
+    await Menu.viewBalance(createMockReadline([]));
+
+    expect(consoleSpy.mock.calls.map((call) => call[0])).toEqual([
+      'Current balance: 001000.00',
+      'Current balance: 001000.00\nAvailable balance: 000999.00'
+    ]);
+    consoleSpy.mockRestore();
+  });
+
+  test('the hold command should place, list, capture and release holds', () => {
+    expect(parseOptions([], { ACCOUNT_HOLD_HOURS: '48' }).holdHours).toBe(48);
+
+    expect(run(['hold', 'place', '250.00'])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: ['Hold 1 placed: $250.00 until 2024-03-08T09:00:00.000Z. Available balance: $750.00'],
+      stderr: []
+    });
+    expect(run(['balance']).stdout).toEqual(['Current balance: $1000.00\nAvailable balance: $750.00']);
+    expect(run(['hold', 'list']).stdout[0]).toContain('$250.00  placed 2024-03-01T09:00:00.000Z');
+    expect(run(['hold', 'place', '900'])).toEqual({ exitCode: EXIT_CODES.INSUFFICIENT_FUNDS, stdout: [], stderr: ['Insufficient funds for this debit.'] });
+    expect(run(['hold', 'capture', '1', '300']).exitCode).toBe(EXIT_CODES.INVALID_HOLD);
+    expect(run(['hold', 'capture', '1', '100'])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: ['Hold 1 captured: $100.00 debited. New balance: $900.00'],
+      stderr: []
+    });
+    expect(run(['hold', 'release', '1'])).toEqual({ exitCode: EXIT_CODES.INVALID_HOLD, stdout: [], stderr: ['Hold 1 was already captured.'] });
+    expect(run(['hold']).exitCode).toBe(EXIT_CODES.USAGE);
+  });
+});
+
+describe('Audit log', () => {
+  const realNow = Clock.now;
+  let dir;
+
+  const entries = () => Audit.lines().map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    DataStorage.reset();
+    Audit.reset();
+    Clock.now = () => new Date('2024-03-01T09:00:00Z');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-audit-'));
+  });
+
+  afterEach(() => {
+    Clock.now = realNow;
+    DataStorage.file = null;
+    DataStorage.reset();
+    Audit.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should chain an entry for every posted or refused operation', () => {
+    Operations.credit(50000);
+    expect(() => Operations.debit(500000)).toThrow(InsufficientFundsError);
+
+    const [first, second] = entries();
+    expect(first).toMatchObject({
+      seq: 1, operation: 'CREDIT', account: DEFAULT_ACCOUNT, amount: 50000, outcome: 'Posted', balance: 150000, ledgerSeq: 1,
+      prevHash: '0'.repeat(64)
+    });
+    expect(second).toMatchObject({ seq: 2, operation: 'DEBIT', amount: 500000, outcome: 'Insufficient funds', balance: 150000 });
+    expect(second.prevHash).toBe(crypto.createHash('sha256').update(Audit.lines()[0]).digest('hex'));
+    expect(Audit.verify()).toEqual({ ok: true, entries: 2, broken: null });
+  });
+
+  test('should not log operations that roll back', () => {
+    expect(() => Operations.transfer('999999', 100)).toThrow(AccountError);
+    expect(Audit.lines()).toEqual([]);
+  });
+
+  test('should record menu choices and invalid input with the operation', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Session.run(['1234', '1234', '2', 'abc', '3', '100', 'x', '4']);
+    consoleSpy.mockRestore();
+
+    expect(entries().map(({ choice, operation, input, amount, outcome }) => ({ choice, operation, input, amount, outcome }))).toEqual([
+      { operation: 'SET-PIN', outcome: 'Set' },
+      { choice: '2', operation: 'CREDIT', outcome: 'Selected' },
+      { choice: '2', operation: 'CREDIT', input: 'abc', outcome: 'Invalid amount' },
+      { choice: '3', operation: 'DEBIT', outcome: 'Selected' },
+      { choice: '3', operation: 'DEBIT', amount: 10000, outcome: 'Posted' },
+      { choice: 'x', outcome: 'Invalid choice' },
+      { choice: '4', operation: 'EXIT', outcome: 'Selected' }
+    ]);
+  });
+
+  test('should record PIN attempts, lockouts and standing order changes', () => {
+    Pin.maxAttempts = 2;
+    DataStorage.setPin(DEFAULT_ACCOUNT, '4321');
+    DataStorage.checkPin(DEFAULT_ACCOUNT, '4321');
+    DataStorage.checkPin(DEFAULT_ACCOUNT, '0000');
+    DataStorage.checkPin(DEFAULT_ACCOUNT, '0000');
+    DataStorage.checkPin(DEFAULT_ACCOUNT, '4321');
+    Pin.maxAttempts = 3;
+    DataStorage.openAccount('000002', 0);
+    const order = DataStorage.addStandingOrder({
+      from: DEFAULT_ACCOUNT, to: '000002', amount: 2500, frequency: 'monthly', startDate: '2024-03-31'
+    });
+    DataStorage.cancelStandingOrder(order.id);
+
+    expect(entries().map(({ operation, account, outcome }) => [operation, account, outcome])).toEqual([
+      ['SET-PIN', DEFAULT_ACCOUNT, 'Set'],
+      ['CHECK-PIN', DEFAULT_ACCOUNT, 'Accepted'],
+      ['CHECK-PIN', DEFAULT_ACCOUNT, 'Incorrect PIN'],
+      ['CHECK-PIN', DEFAULT_ACCOUNT, 'Locked'],
+      ['CHECK-PIN', DEFAULT_ACCOUNT, 'Account locked'],
+      ['OPEN-ACCOUNT', '000002', 'Opened'],
+      ['STANDING-ORDER', DEFAULT_ACCOUNT, 'Scheduled'],
+      ['STANDING-ORDER', DEFAULT_ACCOUNT, 'Cancelled']
+    ]);
+    expect(entries()[6]).toMatchObject({ counterparty: '000002', amount: 2500, standingOrderId: 1 });
+    expect(JSON.stringify(entries())).not.toContain('4321');
+  });
+
+  test('verify-audit should name the entry where the chain breaks', () => {
+    const file = path.join(dir, 'data.json.audit');
+    Audit.open(file);
+    DataStorage.open(path.join(dir, 'data.json'));
+    Operations.credit(1000);
+    Operations.debit(500);
+    Operations.credit(200);
+
+    expect(run(['verify-audit', file])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: [`Audit log ${file} verified: 3 entries, chain intact.`],
+      stderr: []
+    });
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const altered = { ...JSON.parse(lines[1]), amount: 50 };
+    fs.writeFileSync(file, [lines[0], JSON.stringify(altered), ...lines.slice(2)].join('\n'));
+    expect(run(['verify-audit', file])).toEqual({
+      exitCode: EXIT_CODES.AUDIT_CHAIN_BROKEN,
+      stdout: [`Audit log ${file} is broken at entry 2 of 3: the entry does not match its hash; it was altered.`],
+      stderr: []
+    });
+
+    // Recomputing the altered entry's own hash moves the break to its successor
+    const { hash, ...content } = altered;
+    const rehashed = { ...content, hash: crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex') };
+    fs.writeFileSync(file, [lines[0], JSON.stringify(rehashed), ...lines.slice(2)].join('\n'));
+    expect(JSON.parse(run(['verify-audit', file, '--json']).stdout[0]).broken).toEqual({
+      seq: 3, reason: 'the previous entry does not match the hash recorded here; entry 2 was altered or replaced'
+    });
+
+    fs.writeFileSync(file, [lines[0], ...lines.slice(2)].join('\n'));
+    expect(JSON.parse(run(['verify-audit', file, '--json']).stdout[0]).broken.seq).toBe(2);
+  });
+
+  test('should audit account administration', () => {
+    DataStorage.openAccount('000002', 0, 'EUR');
+    DataStorage.setPolicy('000002', { overdraftLimit: 5000 });
+    DataStorage.setTerms('000002', { interestRate: 150 });
+    DataStorage.closeAccount('000002');
+
+    expect(entries().map(({ operation, account, outcome }) => [operation, account, outcome])).toEqual([
+      ['OPEN-ACCOUNT', '000002', 'Opened'],
+      ['SET-POLICY', '000002', 'Changed'],
+      ['SET-TERMS', '000002', 'Changed'],
+      ['CLOSE-ACCOUNT', '000002', 'Closed']
+    ]);
+    expect(entries()[1].changes).toEqual({ overdraftLimit: 5000 });
+  });
+
+  test('a log that cannot be written should not fail the operation or what follows it', () => {
+    Audit.open(path.join(dir, 'missing', 'data.json.audit'));
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+    const seen = [];
+    const unsubscribe = Events.on('credited', (event) => seen.push(event.amount));
+
+    expect(Operations.credit(1000).balance).toBe(101000);
+    unsubscribe();
+    expect(seen).toEqual([1000]);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Audit entry for CREDIT not written:'));
+    errorSpy.mockRestore();
+  });
+
+  test('should only read what was appended since its own last entry', () => {
+    const file = path.join(dir, 'data.json.audit');
+    Audit.open(file);
+    Operations.credit(1000);
+
+    // Another process appends an entry of its own
+    const own = Audit.end;
+    Audit.end = null;
+    Audit.append({ operation: 'CREDIT', outcome: 'Posted' });
+    Audit.end = own;
+
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+    Operations.credit(200);
+    const reads = readFileSync.mock.calls.filter(([name]) => name === file).length;
+    readFileSync.mockRestore();
+
+    expect(reads).toBe(0);
+    expect(entries().map((entry) => entry.seq)).toEqual([1, 2, 3]);
+    expect(Audit.verify()).toEqual({ ok: true, entries: 3, broken: null });
+  });
+
+  test('verify-audit should need a log to check', () => {
+    expect(parseOptions([], { ACCOUNT_AUDIT_FILE: 'audit.log' }).auditFile).toBe('audit.log');
+    expect(run(['verify-audit']).exitCode).toBe(EXIT_CODES.USAGE);
+    expect(run(['verify-audit', path.join(dir, 'missing.audit')]).exitCode).toBe(EXIT_CODES.ERROR);
+  });
+});
+
+describe('Maker-checker approvals', () => {
+  const passwords = { sam: 'sam password', pat: 'pat password' };
+  const as = (user) => {
+    Approvals.user = user;
+    Approvals.password = passwords[user] || null;
+  };
+
+  beforeEach(() => {
+    DataStorage.reset();
+    DataStorage.setPolicy(DEFAULT_ACCOUNT, { approvalThreshold: 50000 });
+    DataStorage.addSupervisor('sam', passwords.sam);
+    DataStorage.addSupervisor('pat', passwords.pat);
+    as('alex');
+  });
+
+  afterEach(() => {
+    as(null);
+    DataStorage.reset();
+  });
+
+  test('debits up to the threshold should post straight away', () => {
+    expect(Operations.debit(50000).balance).toBe(50000);
+    expect(Approvals.pending()).toEqual([]);
+  });
+
+  test('a larger debit should be queued instead of posting', () => {
+    let error;
+    try {
+      Operations.debit(60000);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(PendingApprovalError);
+    expect(error.message).toBe("Debit of $600.00 is awaiting a supervisor's approval (request 1).");
+    expect(error.approval).toMatchObject({ id: 1, account: DEFAULT_ACCOUNT, amount: 60000, requestedBy: 'alex', status: 'pending' });
+    expect(DataStorage.read()).toBe(1000.00);
+    expect(DataStorage.ledger).toEqual([]);
+  });
+
+  test('the menu should say the debit awaits approval', async () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+    await Menu.debit(createMockReadline(['700']));
+
+    expect(consoleSpy).toHaveBeenCalledWith("\nDebit of $700.00 is awaiting a supervisor's approval (request 1).\n");
+    consoleSpy.mockRestore();
+  });
+
+  test('approval should post the debit once another supervisor agrees', () => {
+    as('sam');
+    const { approval } = Operations.postDebit(DEFAULT_ACCOUNT, 60000);
+
+    expect(() => Approvals.approve(approval.id, 'alex')).toThrow('Only a supervisor can approve or reject debits.');
+    expect(() => Approvals.approve(approval.id, 'sam', passwords.sam))
+      .toThrow('Request 1 was made by sam; another supervisor must approve it.');
+
+    const result = Approvals.approve(approval.id, 'pat', passwords.pat);
+    expect(result).toMatchObject({ outcome: 'Posted', balance: 40000, approval: { status: 'approved', decidedBy: 'pat' } });
+    expect(result.entry).toMatchObject({ type: 'DEBIT', amount: 60000, outcome: 'Posted', approvalId: 1, approvedBy: 'pat' });
+    expect(() => Approvals.approve(approval.id, 'pat', passwords.pat)).toThrow(ApprovalError);
+    expect(Audit.lines().map((line) => JSON.parse(line))).toContainEqual(expect.objectContaining({
+      operation: 'DEBIT', account: DEFAULT_ACCOUNT, amount: 60000, outcome: 'Approved', approvalId: 1, user: 'pat'
+    }));
+  });
+
+  test('approval should check the funds again at that moment', () => {
+    const { approval } = Operations.postDebit(DEFAULT_ACCOUNT, 60000);
+    Operations.debit(50000);
+
+    const result = Approvals.approve(approval.id, 'sam', passwords.sam);
+    expect(result).toMatchObject({ outcome: 'Insufficient funds', balance: 50000, approval: { status: 'failed' } });
+    expect(result.entry).toMatchObject({ type: 'DEBIT', outcome: 'Insufficient funds', approvalId: 1 });
+    expect(DataStorage.read()).toBe(500.00);
+  });
+
+  test('a rejected request should never post', () => {
+    const { approval } = Operations.postDebit(DEFAULT_ACCOUNT, 60000);
+
+    expect(Approvals.reject(approval.id, 'not expected', 'sam', passwords.sam))
+      .toMatchObject({ status: 'rejected', reason: 'not expected' });
+    expect(Approvals.pending()).toEqual([]);
+    expect(() => Approvals.approve(approval.id, 'pat', passwords.pat)).toThrow('Request 1 was already decided (rejected).');
+    expect(DataStorage.read()).toBe(1000.00);
+  });
+
+  test('the commands should queue, list and decide requests', () => {
+    expect(parseOptions([], { USER: 'alex' }).user).toBe('alex');
+
+    expect(run(['debit', '600'])).toEqual({
+      exitCode: EXIT_CODES.PENDING_APPROVAL,
+      stdout: ["Debit of $600.00 is awaiting a supervisor's approval (request 1)."],
+      stderr: []
+    });
+
+    as('alex');
+    expect(run(['approvals', 'list']).exitCode).toBe(EXIT_CODES.APPROVAL_DENIED);
+    as('sam');
+    expect(run(['approvals', 'list']).stdout[0]).toContain(`1  ${DEFAULT_ACCOUNT}  DEBIT     600.00  requested by alex`);
+    expect(run(['approvals', 'approve', '1'])).toEqual({
+      exitCode: EXIT_CODES.OK,
+      stdout: [`Request 1 approved: $600.00 debited from ${DEFAULT_ACCOUNT}. New balance: $400.00`],
+      stderr: []
+    });
+    expect(run(['approvals', 'approve', '1']).exitCode).toBe(EXIT_CODES.APPROVAL_DENIED);
+    expect(run(['approvals']).exitCode).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('a supervisor should have to prove who they are', () => {
+    Operations.postDebit(DEFAULT_ACCOUNT, 60000);
+
+    // alex names another supervisor but cannot give their password
+    expect(() => Approvals.approve(1, 'sam')).toThrow(AuthenticationError);
+    expect(() => Approvals.approve(1, 'sam', passwords.pat)).toThrow(
+      'Supervisor sam needs their password (ACCOUNT_USER_PASSWORD).');
+    expect(() => Approvals.reject(1, '', 'sam', 'guess')).toThrow(AuthenticationError);
+    Approvals.user = 'sam';
+    expect(run(['approvals', 'approve', '1']).exitCode).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    Approvals.password = passwords.pat;
+    expect(run(['approvals', 'list']).exitCode).toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(Approvals.pending()).toHaveLength(1);
+
+    as('sam');
+    expect(run(['approvals', 'approve', '1']).exitCode).toBe(EXIT_CODES.OK);
+  });
+
+  test('the supervisors should come from the data file and only an administrator may change them', () => {
+    DataStorage.supervisors = [];
+    DataStorage.setAdminPassword('correct horse');
+    const admin = { ACCOUNT_ADMIN_PASSWORD: 'correct horse', ACCOUNT_USER_PASSWORD: passwords.sam };
+
+    expect(run(['supervisors', 'add', 'alex'], { ACCOUNT_USER_PASSWORD: 'alex password' }).exitCode)
+      .toBe(EXIT_CODES.NOT_AUTHORIZED);
+    expect(Approvals.isSupervisor('alex')).toBe(false);
+    expect(run(['supervisors', 'add', 'sam'], { ACCOUNT_ADMIN_PASSWORD: 'correct horse' }).exitCode).toBe(EXIT_CODES.USAGE);
+    expect(run(['supervisors', 'add', 'sam'], admin).exitCode).toBe(EXIT_CODES.OK);
+    expect(run(['supervisors', 'add', 'pat'], admin).exitCode).toBe(EXIT_CODES.OK);
+    expect(run(['supervisors', 'remove', 'sam'], admin)).toEqual({ exitCode: EXIT_CODES.OK, stdout: ['pat'], stderr: [] });
+    expect(Approvals.isSupervisor('pat')).toBe(true);
+    expect(JSON.stringify(DataStorage.getState())).not.toContain(passwords.sam);
+    expect(() => DataStorage.parseState(JSON.stringify({ version: 3, accounts: {}, supervisors: ['pat'] })))
+      .toThrow('supervisors are invalid');
+  });
+
+  test('a debit should only be queued or approved with a known requester', () => {
+    as(null);
+    expect(() => Operations.debit(60000)).toThrow(
+      'Debits above the approval threshold need a known user (--user or ACCOUNT_USER).');
+    expect(run(['debit', '600']).exitCode).toBe(EXIT_CODES.APPROVAL_DENIED);
+    expect(Approvals.pending()).toEqual([]);
+
+    // A request saved before requesters were required
+    DataStorage.approvals.push({
+      id: 1, account: DEFAULT_ACCOUNT, type: 'DEBIT', amount: 60000, details: {}, requestedBy: null, requestedAt: '2024-01-01T00:00:00.000Z', status: 'pending'
+    });
+    expect(() => Approvals.approve(1, 'sam', passwords.sam)).toThrow('Request 1 has no known requester; it can only be rejected.');
+    expect(Approvals.reject(1, '', 'sam', passwords.sam).status).toBe('rejected');
+    expect(DataStorage.read()).toBe(1000.00);
+  });
+
+  test('transfers, holds and standing orders above the threshold should be queued too', () => {
+    DataStorage.openAccount('000002', 0);
+
+    expect(() => Operations.transfer('000002', 60000)).toThrow(
+      "Transfer of $600.00 to 000002 is awaiting a supervisor's approval (request 1).");
+    expect(run(['hold', 'place', '700'])).toEqual({
+      exitCode: EXIT_CODES.PENDING_APPROVAL,
+      stdout: ["Hold of $700.00 is awaiting a supervisor's approval (request 2)."],
+      stderr: []
+    });
+    DataStorage.addStandingOrder({
+      from: DEFAULT_ACCOUNT, to: '000002', amount: 80000, frequency: 'monthly', startDate: '2024-01-31'
+    });
+    expect(EndOfDay.run('2024-01-31').standingOrders).toEqual({ executed: 0, queued: 1, failed: 0 });
+    expect(Approvals.pending().map(({ type, amount }) => [type, amount]))
+      .toEqual([['XFER-OUT', 60000], ['HOLD', 70000], ['XFER-OUT', 80000]]);
+    expect(DataStorage.read()).toBe(1000.00);
+    expect(Holds.active(DEFAULT_ACCOUNT)).toEqual([]);
+
+    // Approval posts what was asked for, without queueing it again
+    as('sam');
+    expect(run(['approvals', 'approve', '1']).stdout).toEqual([
+      `Request 1 approved: $600.00 transferred from ${DEFAULT_ACCOUNT} to 000002. New balance: $400.00`
+    ]);
+    expect(DataStorage.getAccount('000002').balance).toBe(60000);
+    expect(Approvals.approve(3).entry).toMatchObject({ type: 'XFER-OUT', outcome: 'Insufficient funds', approvalId: 3 });
+
+    Operations.credit(60000);
+    const held = Approvals.approve(2);
+    expect(held).toMatchObject({ outcome: 'Held', approval: { status: 'approved' } });
+    expect(held.entry).toMatchObject({ type: 'HOLD', approvalId: 2, approvedBy: 'sam' });
+    expect(Operations.capture(held.hold.id).balance).toBe(30000);
+  });
+});
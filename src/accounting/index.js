@@ -10,184 +10,5572 @@
  * - Operations: Business logic for credit/debit transactions
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
 const readline = require('readline');
+const util = require('util');
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Raised when the backing data file cannot be loaded or saved.
+ * The program refuses to continue rather than silently resetting the balance.
+ */
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+/**
+ * Raised when an amount is not a valid PIC 9(6)V99 value.
+ */
+class InvalidAmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAmountError';
+  }
+}
+
+/**
+ * Raised when a result would not fit in PIC 9(6)V99. COBOL silently drops
+ * the high-order digits; we reject the operation instead.
+ */
+class BalanceOverflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BalanceOverflowError';
+  }
+}
+
+/**
+ * Raised when a debit, transfer or reversal would take the balance below
+ * what the debit policy allows (zero, or the overdraft limit).
+ */
+class InsufficientFundsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+/**
+ * Raised when a debit exceeds the account's single-debit or daily limit.
+ */
+class DebitLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DebitLimitError';
+  }
+}
+
+/**
+ * Raised when a transaction cannot be reversed: it does not exist, is not a
+ * posted credit or debit, or has already been reversed.
+ */
+class ReversalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReversalError';
+  }
+}
+
+/**
+ * Raised when the end-of-day cycle is asked to run for an invalid or
+ * already passed business date.
+ */
+class EndOfDayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EndOfDayError';
+  }
+}
+
+/**
+ * Raised for an unknown currency code or a missing exchange rate.
+ */
+class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CurrencyError';
+  }
+}
+
+/**
+ * Raised for an unknown, duplicate or unselected account.
+ */
+class AccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountError';
+  }
+}
+
+/**
+ * Raised for a hold that does not exist, is no longer active or is
+ * captured for more than it reserves.
+ */
+class HoldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HoldError';
+  }
+}
+
+/**
+ * Raised by Operations.debit, transfer and hold when the debit was queued
+ * for a supervisor's approval instead; `approval` holds the request.
+ */
+class PendingApprovalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PendingApprovalError';
+  }
+}
+
+/**
+ * Raised for an approval request that does not exist or was already
+ * decided, or a decision the user may not make.
+ */
+class ApprovalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApprovalError';
+  }
+}
+
+/**
+ * Raised when an account's PIN, the administrator password or a
+ * supervisor's password is missing or wrong, or the account is locked.
+ */
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Raised when a scripted session cannot be replayed, e.g. the script ends
+ * before the menu exits.
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+// Error class for each outcome of a refused posting
+const REJECTION_ERRORS = {
+  'Insufficient funds': InsufficientFundsError,
+  'Overdraft limit exceeded': InsufficientFundsError,
+  'Debit limit exceeded': DebitLimitError,
+  'Daily limit exceeded': DebitLimitError,
+  'Balance overflow': BalanceOverflowError
+};
+
+/**
+ * The typed error for a refused posting, carrying its `outcome`, the
+ * unchanged `balance` and the recorded ledger `entry`
+ */
+function rejectionError(result) {
+  const ErrorClass = REJECTION_ERRORS[result.outcome];
+  return Object.assign(new ErrorClass(result.message), {
+    outcome: result.outcome,
+    balance: result.balance,
+    entry: result.entry
+  });
+}
+
+/**
+ * Is `err` one of the errors for a refused posting?
+ */
+function isRejection(err) {
+  return Object.values(REJECTION_ERRORS).some((ErrorClass) => err instanceof ErrorClass);
+}
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+
+/**
+ * Source of the current time. Replace `now` to run against a fixed date,
+ * e.g. to test the end-of-day cycle for a particular business date.
+ */
+const Clock = {
+  now() {
+    return new Date();
+  },
+
+  /**
+   * Today's date as YYYY-MM-DD (UTC)
+   */
+  today() {
+    return this.now().toISOString().slice(0, 10);
+  }
+};
+
+/**
+ * Is `text` a real calendar date written as YYYY-MM-DD?
+ */
+function isIsoDate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text)) &&
+    new Date(`${text}T00:00:00Z`).toISOString().slice(0, 10) === text;
+}
+
+/**
+ * Add `days` days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Add `months` months to a YYYY-MM-DD date, keeping the day of the month
+ * where possible (Jan 31 + 1 month = Feb 28/29)
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// ============================================================================
+// MONEY (PIC 9(6)V99 fixed-point arithmetic)
+// ============================================================================
+
+/**
+ * Amounts are held as integer cents so that arithmetic is exact.
+ * The limits follow the COBOL picture PIC 9(6)V99: six integer digits and
+ * two implied decimal places, i.e. 0.00 to 999,999.99.
+ */
+const Money = {
+  // Largest value that fits in PIC 9(6)V99, in cents. Accounts in other
+  // currencies keep the same eight digits, e.g. PIC 9(8) for JPY.
+  MAX: 99999999,
+
+  // How digits beyond the second decimal place of a computed amount (e.g. a
+  // currency conversion) are handled: 'truncate' (what COBOL does on MOVE)
+  // or 'round' (half up, like ROUNDED)
+  rounding: 'truncate',
+
+  /**
+   * Parse a decimal string into cents (or whatever the minor unit of the
+   * currency is) without going through a float.
+   * Throws InvalidAmountError for malformed input or values above MAX.
+   */
+  parse(text, rounding = this.rounding, minorUnits = 2) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(String(text).trim());
+    if (!match || (match[2] === '' && !match[3])) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Please enter a positive number."));
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const integerDigits = whole.replace(/^0+/, '');
+    if (integerDigits.length > 8 - minorUnits) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Maximum is {max}.", { max: this.format(this.MAX, minorUnits) }));
+    }
+
+    let cents = Number(integerDigits || '0') * 10 ** minorUnits +
+      Number(fraction.slice(0, minorUnits).padEnd(minorUnits, '0'));
+    if (rounding === 'round' && fraction.length > minorUnits && fraction[minorUnits] >= '5') {
+      cents += 1;
+    }
+    if (cents > this.MAX) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Maximum is {max}.", { max: this.format(this.MAX, minorUnits) }));
+    }
+    return sign === '-' ? -cents : cents;
+  },
+
+  /**
+   * Parse an amount typed by a person or sent by a client. Stricter than
+   * parse(): it allows a currency `symbol` before or after the number and
+   * thousands separators, e.g. "$1,234.56", but no more than `minorUnits`
+   * decimals. `format` gives the separators (see NUMBER_FORMATS), e.g.
+   * "1.234,56 €" in German.
+   * Throws InvalidAmountError saying what is wrong: trailing characters,
+   * exponent notation, misplaced separators or too many decimals.
+   */
+  parseInput(text, minorUnits = 2, symbol = '', format = NUMBER_FORMATS[DEFAULT_LOCALE]) {
+    let rest = String(text).trim();
+    let sign = '';
+    if (/^[+-]/.test(rest)) {
+      sign = rest[0];
+      rest = rest.slice(1);
+    }
+    const mark = symbol.trim();
+    if (mark !== '' && rest.startsWith(mark)) {
+      rest = rest.slice(mark.length).trimStart();
+    } else if (mark !== '' && rest.endsWith(mark)) {
+      rest = rest.slice(0, -mark.length).trimEnd();
+    }
+
+    const escape = (char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const { decimal, group } = format;
+    const [number, whole = '', fraction] =
+      new RegExp(`^(\\d[\\d${escape(group)}]*)?(?:${escape(decimal)}(\\d*))?`).exec(rest);
+    const tail = rest.slice(number.length);
+    if (whole === '' && !fraction) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Please enter a positive number."));
+    }
+    if (/^[eE][+-]?\d/.test(tail)) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Exponent notation such as 1e3 is not accepted."));
+    }
+    if (tail !== '') {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Unexpected '{text}' after the number.", { text: tail }));
+    }
+    if (whole.includes(group) && !new RegExp(`^\\d{1,3}(${escape(group)}\\d{3})+$`).test(whole)) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. Thousands separators must separate groups of three digits."));
+    }
+    if (fraction !== undefined && fraction.length > minorUnits) {
+      throw new InvalidAmountError(minorUnits === 0
+        ? Locale.t("Invalid amount. This currency has no decimal places.")
+        : Locale.t("Invalid amount. At most {places} decimal places are allowed.", { places: minorUnits }));
+    }
+
+    return this.parse(`${sign}${whole.split(group).join('')}${fraction !== undefined ? `.${fraction}` : ''}`, 'truncate', minorUnits);
+  },
+
+  /**
+   * Convert a JavaScript number of currency units (e.g. 1000.5) to cents
+   */
+  fromNumber(value) {
+    return Math.round(value * 100);
+  },
+
+  /**
+   * Convert cents back to a number of currency units
+   */
+  toNumber(cents) {
+    return cents / 100;
+  },
+
+  /**
+   * Add two amounts, rejecting a result that would not fit in PIC 9(6)V99
+   * (PIC 9(8) etc. for a currency with `minorUnits` other than 2)
+   */
+  add(a, b, minorUnits = 2) {
+    const sum = a + b;
+    if (sum > this.MAX) {
+      throw new BalanceOverflowError(
+        Locale.t("Balance would exceed the maximum of {max}.", { max: this.format(this.MAX, minorUnits) })
+      );
+    }
+    return sum;
+  },
+
+  /**
+   * Subtract `b` from `a`
+   */
+  subtract(a, b) {
+    return a - b;
+  },
+
+  /**
+   * Render cents as a plain decimal string, e.g. 100050 -> "1000.50"
+   * (or 100050 -> "100050" with no minor units)
+   */
+  format(cents, minorUnits = 2) {
+    const sign = cents < 0 ? '-' : '';
+    const abs = Math.abs(cents);
+    const scale = 10 ** minorUnits;
+    const whole = `${sign}${Math.floor(abs / scale)}`;
+    return minorUnits === 0 ? whole : `${whole}.${String(abs % scale).padStart(minorUnits, '0')}`;
+  },
+
+  /**
+   * Render cents the way COBOL DISPLAYs a PIC 9(6)V99 field, with all six
+   * integer digits zero-padded, e.g. 100000 -> "001000.00"
+   */
+  formatPicture(cents, minorUnits = 2) {
+    const sign = cents < 0 ? '-' : '';
+    const abs = Math.abs(cents);
+    const scale = 10 ** minorUnits;
+    const whole = `${sign}${String(Math.floor(abs / scale)).padStart(8 - minorUnits, '0')}`;
+    return minorUnits === 0 ? whole : `${whole}.${String(abs % scale).padStart(minorUnits, '0')}`;
+  }
+};
+
+// ============================================================================
+// CURRENCIES AND EXCHANGE RATES
+// ============================================================================
+
+// Currencies an account can be held in, by ISO 4217 code. Balances and
+// amounts are integers in the currency's minor unit (cents for USD, whole
+// yen for JPY).
+const CURRENCIES = {
+  USD: { symbol: '$', minorUnits: 2 },
+  EUR: { symbol: '€', minorUnits: 2 },
+  GBP: { symbol: '£', minorUnits: 2 },
+  CHF: { symbol: 'CHF ', minorUnits: 2 },
+  JPY: { symbol: '¥', minorUnits: 0 },
+  KWD: { symbol: 'KWD ', minorUnits: 3 }
+};
+
+// Currency of the default account and of accounts from older data files
+const DEFAULT_CURRENCY = 'USD';
+
+// Exchange rates are kept as integers with six decimal places
+const RATE_DECIMALS = 6;
+const RATE_SCALE = 10n ** BigInt(RATE_DECIMALS);
+
+const Currency = {
+  /**
+   * Currency code of an account
+   */
+  of(account) {
+    return account.currency || DEFAULT_CURRENCY;
+  },
+
+  isKnown(code) {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+  },
+
+  /**
+   * Number of decimal places of a currency; throws CurrencyError if unknown
+   */
+  minorUnits(code) {
+    if (!this.isKnown(code)) {
+      throw new CurrencyError(Locale.t("Unknown currency {code}.", { code }));
+    }
+    return CURRENCIES[code].minorUnits;
+  },
+
+  /**
+   * Plain decimal string of an amount in `code`, e.g. "1000.50" or "1000"
+   */
+  format(amount, code = DEFAULT_CURRENCY) {
+    return Money.format(amount, this.minorUnits(code));
+  }
+};
+
+/**
+ * The locally configured rate table used for foreign-currency credits,
+ * debits and transfers. Nothing is converted until a table is loaded.
+ */
+const ExchangeRates = {
+  // Currency the table is quoted against
+  base: DEFAULT_CURRENCY,
+
+  // Units of each currency per one unit of `base`, scaled by RATE_SCALE
+  rates: {},
+
+  /**
+   * Load a table such as { "base": "USD", "rates": { "EUR": "0.92" } },
+   * i.e. 1 USD = 0.92 EUR. Throws CurrencyError if it is malformed.
+   */
+  load(table) {
+    if (table === null || typeof table !== 'object' || !Currency.isKnown(table.base) ||
+        table.rates === null || typeof table.rates !== 'object') {
+      throw new CurrencyError('Invalid exchange rate table.');
+    }
+
+    const rates = {};
+    for (const [code, text] of Object.entries(table.rates)) {
+      const match = new RegExp(`^(\\d+)(?:\\.(\\d{1,${RATE_DECIMALS}}))?$`).exec(String(text));
+      if (!Currency.isKnown(code) || !match) {
+        throw new CurrencyError(`Invalid exchange rate for ${code}.`);
+      }
+      rates[code] = BigInt(match[1]) * RATE_SCALE + BigInt((match[2] || '').padEnd(RATE_DECIMALS, '0'));
+      if (rates[code] === 0n) {
+        throw new CurrencyError(`Invalid exchange rate for ${code}.`);
+      }
+    }
+    this.base = table.base;
+    this.rates = rates;
+  },
+
+  /**
+   * Load the rate table from a JSON file
+   */
+  open(file) {
+    let table;
+    try {
+      table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new CurrencyError(`Cannot read exchange rate file ${file}: ${err.message}`);
+    }
+    this.load(table);
+  },
+
+  reset() {
+    this.base = DEFAULT_CURRENCY;
+    this.rates = {};
+  },
+
+  /**
+   * Units of `code` per unit of the base currency, scaled by RATE_SCALE
+   */
+  rateOf(code) {
+    if (code === this.base) return RATE_SCALE;
+    if (!this.rates[code]) {
+      throw new CurrencyError(Locale.t("No exchange rate for {code}.", { code }));
+    }
+    return this.rates[code];
+  },
+
+  /**
+   * Convert `amount` minor units of currency `from` into currency `to`,
+   * truncating or rounding the result like Money.parse. Returns
+   * { amount, rate } where `rate` is the applied rate as a decimal string.
+   * Throws CurrencyError if either currency has no rate.
+   */
+  convert(amount, from, to) {
+    const fromRate = this.rateOf(from);
+    const toRate = this.rateOf(to);
+    const numerator = BigInt(amount) * toRate * 10n ** BigInt(Currency.minorUnits(to));
+    const denominator = fromRate * 10n ** BigInt(Currency.minorUnits(from));
+
+    let converted = numerator / denominator;
+    if (Money.rounding === 'round' && (numerator % denominator) * 2n >= denominator) {
+      converted += 1n;
+    }
+    const rate = toRate * RATE_SCALE / fromRate;
+    const fraction = String(rate % RATE_SCALE).padStart(RATE_DECIMALS, '0');
+    return { amount: Number(converted), rate: `${rate / RATE_SCALE}.${fraction}` };
+  }
+};
+
+// ============================================================================
+// DISPLAY FORMATTING
+// ============================================================================
+
+/**
+ * Output conventions for the interactive program.
+ *   'modern' - currency symbol, blank lines around results, inline prompts
+ *   'cobol'  - reproduces the DISPLAY output of main.cob/operations.cob so
+ *              transcripts can be compared line by line with the legacy app
+ */
+const Display = {
+  mode: 'modern',
+
+  /**
+   * Format an amount in cents: "$1000.00" or "001000.00". Amounts in other
+   * currencies use their own symbol and decimals, e.g. "¥1500".
+   */
+  amount(cents, currency = DEFAULT_CURRENCY) {
+    const { symbol, minorUnits } = CURRENCIES[currency];
+    if (this.mode === 'cobol') return Money.formatPicture(cents, minorUnits);
+    const number = Locale.formatNumber(Math.abs(cents), minorUnits);
+    const text = Locale.numberFormat().symbolFirst ? `${symbol}${number}` : `${number} ${symbol.trim()}`;
+    return cents < 0 ? `-${text}` : text;
+  },
+
+  /**
+   * Format a result message. COBOL DISPLAYs it on a line of its own.
+   */
+  message(text) {
+    return this.mode === 'cobol' ? text : `\n${text}\n`;
+  },
+
+  /**
+   * Format a prompt. COBOL DISPLAYs the prompt and ACCEPTs on the next line.
+   */
+  prompt(text) {
+    return this.mode === 'cobol' ? `${text}\n` : text;
+  }
+};
+
+// ============================================================================
+// LOCALES
+// ============================================================================
+
+// Language used when --locale/LANG names one there is no catalog for
+const DEFAULT_LOCALE = 'en';
+
+// How each language writes amounts. English output keeps the plain
+// "$1000.00" of the original program; separators are accepted on input.
+const NUMBER_FORMATS = {
+  en: { decimal: '.', group: ',', groupOutput: false, symbolFirst: true },
+  de: { decimal: ',', group: '.', groupOutput: true, symbolFirst: false }
+};
+
+// Message catalogs by language. The English text is the key, so English
+// needs no catalog and a missing translation falls back to it. {name}
+// marks a value filled in by Locale.t().
+const MESSAGES = {
+  de: {
+    // Main menu
+    'Account Management System': 'Kontoverwaltung',
+    'Account: {account}': 'Konto: {account}',
+    '(none selected)': '(keines ausgewählt)',
+    'View Balance': 'Kontostand anzeigen',
+    'Credit Account': 'Gutschrift buchen',
+    'Debit Account': 'Lastschrift buchen',
+    'Exit': 'Beenden',
+    'Open Account': 'Konto eröffnen',
+    'Select Account': 'Konto auswählen',
+    'List Accounts': 'Konten auflisten',
+    'Close Account': 'Konto schließen',
+    'View Statement': 'Kontoauszug anzeigen',
+    'Transfer Funds': 'Überweisung',
+    'Reverse Transaction': 'Buchung stornieren',
+    'Enter your choice (1-{last}): ': 'Ihre Auswahl (1-{last}): ',
+    'Invalid choice, please select 1-{last}.': 'Ungültige Auswahl, bitte 1-{last} wählen.',
+    'Exiting the program. Goodbye!': 'Programm wird beendet. Auf Wiedersehen!',
+
+    // Menu dialogs
+    'Current balance: {balance}': 'Aktueller Kontostand: {balance}',
+    'Available balance: {balance}': 'Verfügbarer Betrag: {balance}',
+    'Enter credit amount: ': 'Gutschriftsbetrag eingeben: ',
+    'Amount credited. New balance: {balance}': 'Betrag gutgeschrieben. Neuer Kontostand: {balance}',
+    'Credit rejected. {reason}': 'Gutschrift abgelehnt. {reason}',
+    'Enter debit amount: ': 'Lastschriftbetrag eingeben: ',
+    'Amount debited. New balance: {balance}': 'Betrag abgebucht. Neuer Kontostand: {balance}',
+    'Enter transaction number to reverse: ': 'Nummer der zu stornierenden Buchung eingeben: ',
+    'Transaction {seq} not found for this account.': 'Buchung {seq} für dieses Konto nicht gefunden.',
+    'Enter reason (optional): ': 'Grund eingeben (optional): ',
+    'Transaction {seq} reversed. New balance: {balance}': 'Buchung {seq} storniert. Neuer Kontostand: {balance}',
+    'Enter destination account number: ': 'Zielkontonummer eingeben: ',
+    'Cannot transfer to the same account.': 'Überweisung auf dasselbe Konto nicht möglich.',
+    'Enter transfer amount: ': 'Überweisungsbetrag eingeben: ',
+    'Amount transferred to {destination}. New balance: {balance}':
+      'Betrag an {destination} überwiesen. Neuer Kontostand: {balance}',
+    'Transfer rejected. {reason}': 'Überweisung abgelehnt. {reason}',
+    'Enter new account number: ': 'Neue Kontonummer eingeben: ',
+    'Enter opening balance: ': 'Anfangssaldo eingeben: ',
+    'Account {number} opened. Opening balance: {balance}': 'Konto {number} eröffnet. Anfangssaldo: {balance}',
+    'Enter account number: ': 'Kontonummer eingeben: ',
+    'Account {number} selected.': 'Konto {number} ausgewählt.',
+    'No accounts open.': 'Keine offenen Konten.',
+    'Enter account number to close: ': 'Nummer des zu schließenden Kontos eingeben: ',
+    'Account {number} closed.': 'Konto {number} geschlossen.',
+    'Enter start date (YYYY-MM-DD, blank for all): ': 'Startdatum eingeben (JJJJ-MM-TT, leer für alle): ',
+    'Enter end date (YYYY-MM-DD, blank for all): ': 'Enddatum eingeben (JJJJ-MM-TT, leer für alle): ',
+    'Invalid date. Please use YYYY-MM-DD.': 'Ungültiges Datum. Bitte JJJJ-MM-TT verwenden.',
+    'No transactions found.': 'Keine Buchungen gefunden.',
+    'Statement for account {number}': 'Kontoauszug für Konto {number}',
+    '  Seq Date/Time            Type          Amount     Balance  Outcome':
+      '  Nr. Datum/Zeit           Art           Betrag       Saldo  Ergebnis',
+    '-- {shown} of {total}: press Enter for more, Q to stop: ': '-- {shown} von {total}: Enter für mehr, Q zum Beenden: ',
+    'Converted {foreign} to {amount} at {rate}.': '{foreign} zum Kurs {rate} in {amount} umgerechnet.',
+    'No account selected. Please open or select an account.':
+      'Kein Konto ausgewählt. Bitte eröffnen oder wählen Sie ein Konto.',
+
+    // PIN
+    'Account {number} has no PIN yet. Please choose one.': 'Konto {number} hat noch keine PIN. Bitte wählen Sie eine.',
+    'Choose a {min}-{max} digit PIN: ': 'PIN mit {min}-{max} Ziffern wählen: ',
+    'Re-enter PIN: ': 'PIN wiederholen: ',
+    'PINs do not match.': 'Die PINs stimmen nicht überein.',
+    'Enter PIN: ': 'PIN eingeben: ',
+    'Incorrect PIN. {attempts} attempt(s) left.': 'Falsche PIN. Noch {attempts} Versuch(e).',
+    'Account {number} is locked. Please contact an administrator.':
+      'Konto {number} ist gesperrt. Bitte wenden Sie sich an einen Administrator.',
+    'Account {number} needs its PIN.': 'Für Konto {number} wird die PIN benötigt.',
+    'PIN must be {min}-{max} digits.': 'Die PIN muss {min}-{max} Ziffern haben.',
+
+    // Amounts
+    'Invalid amount. Please enter a positive number.': 'Ungültiger Betrag. Bitte eine positive Zahl eingeben.',
+    'Invalid amount. Please enter zero or a positive number.':
+      'Ungültiger Betrag. Bitte null oder eine positive Zahl eingeben.',
+    'Invalid amount. Maximum is {max}.': 'Ungültiger Betrag. Der Höchstbetrag ist {max}.',
+    'Invalid amount. Exponent notation such as 1e3 is not accepted.':
+      'Ungültiger Betrag. Exponentialschreibweise wie 1e3 ist nicht zulässig.',
+    "Invalid amount. Unexpected '{text}' after the number.": "Ungültiger Betrag. Unerwartetes '{text}' nach der Zahl.",
+    'Invalid amount. Thousands separators must separate groups of three digits.':
+      'Ungültiger Betrag. Tausendertrennzeichen müssen Gruppen von drei Ziffern trennen.',
+    'Invalid amount. This currency has no decimal places.': 'Ungültiger Betrag. Diese Währung hat keine Nachkommastellen.',
+    'Invalid amount. At most {places} decimal places are allowed.':
+      'Ungültiger Betrag. Höchstens {places} Nachkommastellen sind zulässig.',
+    'Invalid amount. {amount} is less than {minimum}.': 'Ungültiger Betrag. {amount} ist weniger als {minimum}.',
+    'Balance would exceed the maximum of {max}.': 'Der Kontostand würde den Höchstbetrag von {max} überschreiten.',
+    'Unknown currency {code}.': 'Unbekannte Währung {code}.',
+    'No exchange rate for {code}.': 'Kein Wechselkurs für {code}.',
+
+    // Accounts
+    'No account selected.': 'Kein Konto ausgewählt.',
+    'Account {number} does not exist.': 'Konto {number} existiert nicht.',
+    'Account number must be 1-10 digits.': 'Die Kontonummer muss 1-10 Ziffern haben.',
+    'Account {number} already exists.': 'Konto {number} existiert bereits.',
+    'Account {number} still holds a balance and cannot be closed.':
+      'Konto {number} weist noch einen Saldo auf und kann nicht geschlossen werden.',
+    'Account {number} has pending holds and cannot be closed.':
+      'Auf Konto {number} bestehen noch Vormerkungen; es kann nicht geschlossen werden.',
+
+    // Approvals
+    "Debit of {amount} is awaiting a supervisor's approval (request {id}).":
+      'Lastschrift über {amount} wartet auf Freigabe durch einen Vorgesetzten (Anfrage {id}).',
+    "Transfer of {amount} to {destination} is awaiting a supervisor's approval (request {id}).":
+      'Überweisung über {amount} an {destination} wartet auf Freigabe durch einen Vorgesetzten (Anfrage {id}).',
+    "Hold of {amount} is awaiting a supervisor's approval (request {id}).":
+      'Vormerkung über {amount} wartet auf Freigabe durch einen Vorgesetzten (Anfrage {id}).',
+    'Only a supervisor can approve or reject debits.': 'Nur Vorgesetzte können Lastschriften freigeben oder ablehnen.',
+    'Supervisor {user} needs their password (ACCOUNT_USER_PASSWORD).':
+      'Vorgesetzte(r) {user} muss das eigene Passwort angeben (ACCOUNT_USER_PASSWORD).',
+    'Debits above the approval threshold need a known user (--user or ACCOUNT_USER).':
+      'Lastschriften über der Freigabegrenze erfordern einen bekannten Benutzer (--user oder ACCOUNT_USER).',
+    'Request {id} has no known requester; it can only be rejected.':
+      'Anfrage {id} hat keinen bekannten Antragsteller; sie kann nur abgelehnt werden.',
+    'Request {id} does not exist.': 'Anfrage {id} existiert nicht.',
+    'Request {id} was already decided ({status}).': 'Über Anfrage {id} wurde bereits entschieden ({status}).',
+    'Request {id} was made by {user}; another supervisor must approve it.':
+      'Anfrage {id} stammt von {user}; ein anderer Vorgesetzter muss sie freigeben.',
+
+    // Holds
+    'Hold {id} does not exist.': 'Vormerkung {id} existiert nicht.',
+    'Hold {id} has expired.': 'Vormerkung {id} ist abgelaufen.',
+    'Hold {id} was already captured.': 'Vormerkung {id} wurde bereits gebucht.',
+    'Hold {id} was already released.': 'Vormerkung {id} wurde bereits freigegeben.',
+    'Cannot capture {amount}; hold {id} is for {held}.':
+      '{amount} kann nicht gebucht werden; Vormerkung {id} lautet über {held}.',
+
+    // Debits and reversals
+    'Insufficient funds for this debit.': 'Deckung für diese Lastschrift nicht ausreichend.',
+    'Insufficient funds for this transfer.': 'Deckung für diese Überweisung nicht ausreichend.',
+    'Debit exceeds the maximum single debit of {limit}.': 'Die Lastschrift übersteigt den Höchstbetrag je Lastschrift von {limit}.',
+    'Debit would exceed the overdraft limit of {limit}.': 'Die Lastschrift würde den Dispositionsrahmen von {limit} überschreiten.',
+    'Debit would exceed the daily debit limit of {limit} ({debited} already debited today).':
+      'Die Lastschrift würde das Tageslimit von {limit} überschreiten (heute bereits {debited} abgebucht).',
+    'Transaction {seq} does not exist.': 'Buchung {seq} existiert nicht.',
+    'Transaction {seq} cannot be reversed; only posted credits and debits can.':
+      'Buchung {seq} kann nicht storniert werden; nur gebuchte Gut- und Lastschriften können storniert werden.',
+    'Transaction {seq} was already reversed by transaction {by}.': 'Buchung {seq} wurde bereits durch Buchung {by} storniert.',
+    'Insufficient funds to reverse this credit.': 'Deckung für die Stornierung dieser Gutschrift nicht ausreichend.'
+  }
+};
+
+/**
+ * The language of messages and amounts, chosen by --locale or LANG
+ */
+const Locale = {
+  // Language of the catalog in use, e.g. 'de'
+  current: DEFAULT_LOCALE,
+
+  /**
+   * Language for a locale name such as "de-DE" or "de_DE.UTF-8", or the
+   * default when there is none for it
+   */
+  resolve(name) {
+    const language = String(name || '').split(/[-_.@]/)[0].toLowerCase();
+    return Object.prototype.hasOwnProperty.call(NUMBER_FORMATS, language) ? language : DEFAULT_LOCALE;
+  },
+
+  /**
+   * Translate `text` and fill in its {name} placeholders from `values`
+   */
+  t(text, values = {}) {
+    const catalog = MESSAGES[this.current] || {};
+    const template = Object.prototype.hasOwnProperty.call(catalog, text) ? catalog[text] : text;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      (Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match));
+  },
+
+  numberFormat(language = this.current) {
+    return NUMBER_FORMATS[language];
+  },
+
+  /**
+   * Write a non-negative amount in minor units with this language's
+   * separators, e.g. 123456 -> "1.234,56" in German
+   */
+  formatNumber(amount, minorUnits = 2) {
+    const { decimal, group, groupOutput } = this.numberFormat();
+    const [whole, fraction] = Money.format(amount, minorUnits).split('.');
+    const grouped = groupOutput ? whole.replace(/\B(?=(\d{3})+$)/g, group) : whole;
+    return fraction === undefined ? grouped : `${grouped}${decimal}${fraction}`;
+  }
+};
 
 // ============================================================================
 // DATA STORAGE MODULE (formerly DataProgram.cob)
 // ============================================================================
-const DataStorage = {
-  // Initial balance from COBOL: STORAGE-BALANCE PIC 9(6)V99 VALUE 1000.00
-  balance: 1000.00,
+// Account opened automatically on a fresh start, standing in for the single
+// anonymous STORAGE-BALANCE of the COBOL program
+const DEFAULT_ACCOUNT = '000001';
+
+/**
+ * State of a fresh start: just the default account, which keeps the initial
+ * balance from COBOL: STORAGE-BALANCE PIC 9(6)V99 VALUE 1000.00
+ */
+function initialState() {
+  return {
+    accounts: {
+      [DEFAULT_ACCOUNT]: { number: DEFAULT_ACCOUNT, openingBalance: 100000, balance: 100000, status: 'open' }
+    },
+    ledger: [],
+    standingOrders: [],
+    holds: [],
+    approvals: [],
+    lastBusinessDate: null,
+    admin: null,
+    supervisors: []
+  };
+}
+
+const DataStorage = {
+  // Accounts keyed by account number; balances are integer cents
+  accounts: initialState().accounts,
+
+  // Account that READ/WRITE act on; null when nothing is selected
+  currentAccount: DEFAULT_ACCOUNT,
+
+  // Transaction ledger: every posted or rejected operation, oldest first
+  ledger: [],
+
+  // Scheduled transfers run by the end-of-day cycle
+  standingOrders: [],
+
+  // Amounts reserved against accounts but not posted yet (see Holds)
+  holds: [],
+
+  // Large debits waiting for a supervisor (see Approvals)
+  approvals: [],
+
+  // Business date of the last completed end-of-day cycle (YYYY-MM-DD)
+  lastBusinessDate: null,
+
+  // Salted hash of the administrator password (see Admin); null until set
+  admin: null,
+
+  // Users who may approve or reject queued debits (see Approvals)
+  supervisors: [],
+
+  // Path of the backing data file; null keeps the balance in memory only
+  file: null,
+
+  // Nesting depth of transaction(); saves are deferred while it is above 0
+  transactionDepth: 0,
+
+  // Callbacks waiting for the outermost transaction to be saved
+  commitCallbacks: [],
+
+  // Undo records of the nested transactions in progress, innermost last
+  undoStack: [],
+
+  /**
+   * Balance of the currently selected account, in currency units
+   */
+  get balance() {
+    return Money.toNumber(this.readCents());
+  },
+
+  set balance(value) {
+    this.getAccount(this.currentAccount).balance = Money.fromNumber(value);
+  },
+
+  /**
+   * Drop all accounts and go back to the single default account
+   */
+  reset() {
+    this.setState(initialState());
+    this.currentAccount = DEFAULT_ACCOUNT;
+  },
+
+  /**
+   * Everything that is saved to the data file
+   */
+  getState() {
+    return {
+      accounts: this.accounts,
+      ledger: this.ledger,
+      standingOrders: this.standingOrders,
+      holds: this.holds,
+      approvals: this.approvals,
+      lastBusinessDate: this.lastBusinessDate,
+      admin: this.admin,
+      supervisors: this.supervisors
+    };
+  },
+
+  /**
+   * Replace the saved state, e.g. after loading or rolling back
+   */
+  setState(state) {
+    this.accounts = state.accounts;
+    this.ledger = state.ledger;
+    this.standingOrders = state.standingOrders;
+    this.holds = state.holds;
+    this.approvals = state.approvals;
+    this.lastBusinessDate = state.lastBusinessDate;
+    this.admin = state.admin;
+    this.supervisors = state.supervisors;
+  },
+
+  /**
+   * Switch to file-backed mode and load the saved state from `file`.
+   * A missing file starts from the opening balance and is created on the
+   * spot. A truncated or corrupt file is moved aside and the previous good
+   * copy (`<file>.bak`) is restored; with no usable backup a StorageError
+   * is thrown instead of starting over at 1000.00.
+   *
+   * Returns { recovered, quarantined } so the caller can tell the user.
+   */
+  open(file) {
+    this.file = file;
+    let result;
+    try {
+      result = this.withLock(() => this.load());
+    } catch (err) {
+      this.file = null;
+      throw err;
+    }
+    this.currentAccount = this.accounts[DEFAULT_ACCOUNT] &&
+      this.accounts[DEFAULT_ACCOUNT].status === 'open' ? DEFAULT_ACCOUNT : null;
+    return result;
+  },
+
+  /**
+   * Reload the saved state so that changes made by other processes sharing
+   * the data file are seen. Transactions do this themselves.
+   */
+  refresh() {
+    if (this.file === null || this.transactionDepth > 0) return;
+    this.withLock(() => this.load());
+
+    const current = this.accounts[this.currentAccount];
+    if (current && current.status !== 'open') this.currentAccount = null;
+  },
+
+  /**
+   * Load the data file, recovering as described for open(). Must be called
+   * with the lock held.
+   */
+  load() {
+    const file = this.file;
+    const result = { recovered: false, quarantined: null };
+    const backup = `${file}.bak`;
+    let state = null;
+
+    if (fs.existsSync(file)) {
+      try {
+        state = this.parseState(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        result.quarantined = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, result.quarantined);
+      }
+    }
+
+    if (state === null && fs.existsSync(backup)) {
+      try {
+        state = this.parseState(fs.readFileSync(backup, 'utf8'));
+        result.recovered = true;
+      } catch (err) {
+        throw new StorageError(`Backup data file ${backup} is unreadable: ${err.message}`);
+      }
+    }
+
+    if (state === null && result.quarantined) {
+      throw new StorageError(
+        `Data file ${file} is corrupt and no backup is available ` +
+        `(moved to ${result.quarantined})`
+      );
+    }
+
+    // A leftover temp file means a previous write never reached its rename
+    if (fs.existsSync(`${file}.tmp`)) fs.unlinkSync(`${file}.tmp`);
+
+    this.setState(state !== null ? state : initialState());
+    if (state === null || result.recovered) this.save();
+    return result;
+  },
+
+  /**
+   * Run `fn` holding the data file's lock, `<file>.lock`, which holds the
+   * pid of its owner. Every process sharing the file reads, changes and
+   * saves it only while holding the lock, so no update is ever lost. A
+   * lock left by a process that no longer exists is taken over (see
+   * removeStaleLock); one that stays busy for LOCK_TIMEOUT_MS raises a
+   * StorageError. Other shared files (the audit log) pass their own `file`.
+   */
+  withLock(fn, file = this.file) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw new StorageError(`Unable to lock data file ${file}: ${err.message}`);
+        }
+      }
+
+      const owner = Number(readIfExists(lockFile));
+      if (owner && !isProcessRunning(owner) && this.removeStaleLock(lockFile, owner)) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new StorageError(`Data file ${file} is locked by another process (pid ${owner}).`);
+      }
+      sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return fn();
+    } finally {
+      // Only ever remove our own lock
+      if (Number(readIfExists(lockFile)) === process.pid) {
+        fs.unlinkSync(lockFile);
+      }
+    }
+  },
+
+  /**
+   * Remove `lockFile` if it still holds the pid of `owner`, a process that
+   * has exited. Several processes can find the same stale lock, and by the
+   * time one removes it another may already have replaced it with a live
+   * lock of its own; so only the holder of `<lockFile>.takeover` checks
+   * and removes it, and the others wait. Returns false while another
+   * process holds the takeover.
+   */
+  removeStaleLock(lockFile, owner) {
+    const takeover = `${lockFile}.takeover`;
+    try {
+      fs.writeFileSync(takeover, String(process.pid), { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      // A process that died during its takeover leaves the file behind
+      const holder = Number(readIfExists(takeover));
+      if (holder && !isProcessRunning(holder)) unlinkIfExists(takeover);
+      return false;
+    }
+
+    try {
+      if (Number(readIfExists(lockFile)) === owner) unlinkIfExists(lockFile);
+    } finally {
+      fs.unlinkSync(takeover);
+    }
+    return true;
+  },
+
+  /**
+   * Parse and validate the contents of a data file.
+   * Version 1 files (a single balance) become the default account, and
+   * version 1 and 2 amounts (currency units) are converted to cents.
+   */
+  parseState(text) {
+    const state = JSON.parse(text);
+    if (state === null || typeof state !== 'object') {
+      throw new Error('unrecognised data file format');
+    }
+
+    if (state.version === 1) {
+      if (typeof state.balance !== 'number') {
+        throw new Error('balance is missing or invalid');
+      }
+      return this.parseState(JSON.stringify({
+        version: 2,
+        accounts: {
+          [DEFAULT_ACCOUNT]: { number: DEFAULT_ACCOUNT, openingBalance: 1000.00, balance: state.balance, status: 'open' }
+        }
+      }));
+    }
+
+    if (state.version === 2 && state.accounts !== null && typeof state.accounts === 'object') {
+      for (const account of Object.values(state.accounts)) {
+        if (account === null || typeof account !== 'object') continue;
+        account.openingBalance = Money.fromNumber(account.openingBalance);
+        account.balance = Money.fromNumber(account.balance);
+      }
+      for (const entry of Array.isArray(state.ledger) ? state.ledger : []) {
+        entry.amount = Money.fromNumber(entry.amount);
+        entry.balance = Money.fromNumber(entry.balance);
+      }
+      state.version = 3;
+    }
+
+    if (state.version !== 3 || state.accounts === null || typeof state.accounts !== 'object') {
+      throw new Error('unrecognised data file format');
+    }
+    for (const [number, account] of Object.entries(state.accounts)) {
+      if (account === null || typeof account !== 'object' || account.number !== number ||
+          !isValidBalance(account.balance) || !isValidBalance(account.openingBalance) ||
+          (account.status !== 'open' && account.status !== 'closed') ||
+          (account.currency !== undefined && !Currency.isKnown(account.currency)) ||
+          (account.pin !== undefined && !Pin.isValidRecord(account.pin)) ||
+          (account.policy !== undefined && !DebitPolicy.isValid(account.policy)) ||
+          (account.terms !== undefined && !AccountTerms.isValid(account.terms)) ||
+          (account.accruedInterest !== undefined && !Number.isInteger(account.accruedInterest))) {
+        throw new Error(`account ${number} is missing or invalid`);
+      }
+    }
+    if (state.ledger === undefined) {
+      state.ledger = [];
+    } else if (!Array.isArray(state.ledger)) {
+      throw new Error('ledger is invalid');
+    }
+    if (state.standingOrders === undefined) {
+      state.standingOrders = [];
+    } else if (!Array.isArray(state.standingOrders)) {
+      throw new Error('standing orders are invalid');
+    }
+    if (state.holds === undefined) {
+      state.holds = [];
+    } else if (!Array.isArray(state.holds)) {
+      throw new Error('holds are invalid');
+    }
+    if (state.approvals === undefined) {
+      state.approvals = [];
+    } else if (!Array.isArray(state.approvals)) {
+      throw new Error('approvals are invalid');
+    }
+    if (state.lastBusinessDate === undefined) {
+      state.lastBusinessDate = null;
+    }
+    if (state.admin === undefined) {
+      state.admin = null;
+    } else if (state.admin !== null && !Admin.isValidRecord(state.admin)) {
+      throw new Error('administrator password is invalid');
+    }
+    if (state.supervisors === undefined) {
+      state.supervisors = [];
+    } else if (!Array.isArray(state.supervisors) ||
+        !state.supervisors.every((supervisor) => Approvals.isValidRecord(supervisor)) ||
+        new Set(state.supervisors.map(({ name }) => name)).size !== state.supervisors.length) {
+      throw new Error('supervisors are invalid');
+    }
+    return state;
+  },
+
+  /**
+   * Persist the current state atomically: write and fsync a temp file, keep
+   * the previous good copy as the backup, then rename the temp file over the
+   * data file. A crash at any point leaves either the old or the new state.
+   */
+  save() {
+    if (this.file === null || this.transactionDepth > 0) return;
+
+    const file = this.file;
+    const tmp = `${file}.tmp`;
+    const data = JSON.stringify({ version: 3, ...this.getState() }, null, 2) + '\n';
+
+    try {
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      throw new StorageError(`Unable to save data file ${file}: ${err.message}`);
+    }
+  },
+
+  /**
+   * Look up an open account, throwing AccountError if there is none
+   */
+  getAccount(number) {
+    if (number === null) {
+      throw new AccountError(Locale.t("No account selected."));
+    }
+    const account = this.accounts[number];
+    if (!account || account.status !== 'open') {
+      throw new AccountError(Locale.t("Account {number} does not exist.", { number }));
+    }
+    return this.touch(account);
+  },
+
+  /**
+   * Open a new account with its own opening balance, in the minor units
+   * of its currency
+   */
+  openAccount(number, openingBalance, currency = DEFAULT_CURRENCY) {
+    return this.transaction(() => {
+      if (!/^\d{1,10}$/.test(number)) {
+        throw new AccountError(Locale.t("Account number must be 1-10 digits."));
+      }
+      if (this.accounts[number]) {
+        throw new AccountError(Locale.t("Account {number} already exists.", { number }));
+      }
+      Currency.minorUnits(currency);
+      const undo = this.undoStack[this.undoStack.length - 1];
+      if (undo) undo.opened.push(number);
+      this.accounts[number] = { number, currency, openingBalance, balance: openingBalance, status: 'open' };
+      Audit.record({
+        operation: 'OPEN-ACCOUNT', account: number, amount: openingBalance, currency, outcome: 'Opened', user: Approvals.user
+      });
+      return this.accounts[number];
+    });
+  },
+
+  /**
+   * Make `number` the account that READ/WRITE act on
+   */
+  selectAccount(number) {
+    this.getAccount(number);
+    this.currentAccount = number;
+  },
+
+  /**
+   * All open accounts, ordered by account number
+   */
+  listAccounts() {
+    return Object.values(this.accounts)
+      .filter((account) => account.status === 'open')
+      .sort((a, b) => a.number.localeCompare(b.number));
+  },
+
+  /**
+   * Change part of an account's debit policy; a null value removes a limit
+   */
+  setPolicy(number, changes) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      const policy = { ...(account.policy || {}), ...changes };
+      if (!DebitPolicy.isValid(policy)) {
+        throw new InvalidAmountError('Invalid debit policy.');
+      }
+      account.policy = policy;
+      Audit.record({ operation: 'SET-POLICY', account: number, outcome: 'Changed', changes, user: Approvals.user });
+      return DebitPolicy.of(account);
+    });
+  },
+
+  /**
+   * Set the PIN of an account, clearing any failed attempts and lock.
+   * Only a salted hash is stored.
+   */
+  setPin(number, pin) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      if (!Pin.isValid(pin)) {
+        throw new AccountError(Locale.t("PIN must be {min}-{max} digits.", { min: Pin.MIN_LENGTH, max: Pin.MAX_LENGTH }));
+      }
+      const salt = crypto.randomBytes(16).toString('hex');
+      account.pin = { salt, hash: Pin.hash(pin, salt), failedAttempts: 0, locked: false };
+      Audit.record({ operation: 'SET-PIN', account: number, outcome: 'Set', user: Approvals.user });
+    });
+  },
+
+  /**
+   * Check a PIN entered for an account. A wrong PIN counts as a failed
+   * attempt and the account locks after Pin.maxAttempts of them in a row.
+   * Returns { ok, locked, attemptsLeft }.
+   */
+  checkPin(number, pin) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      const stored = account.pin;
+      if (stored.locked) {
+        Audit.record({ operation: 'CHECK-PIN', account: number, outcome: 'Account locked', user: Approvals.user });
+        return { ok: false, locked: true, attemptsLeft: 0 };
+      }
+
+      const ok = Pin.matches(pin, stored);
+      stored.failedAttempts = ok ? 0 : stored.failedAttempts + 1;
+      stored.locked = stored.failedAttempts >= Pin.maxAttempts;
+      Audit.record({
+        operation: 'CHECK-PIN',
+        account: number,
+        outcome: ok ? 'Accepted' : stored.locked ? 'Locked' : 'Incorrect PIN',
+        failedAttempts: stored.failedAttempts,
+        user: Approvals.user
+      });
+      return { ok, locked: stored.locked, attemptsLeft: Math.max(Pin.maxAttempts - stored.failedAttempts, 0) };
+    });
+  },
+
+  /**
+   * Administrator reset: remove the PIN and any lock. The holder chooses a
+   * new PIN the next time the account is used from the menu.
+   */
+  resetPin(number) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      delete account.pin;
+      Audit.record({ operation: 'RESET-PIN', account: number, outcome: 'Reset', user: Approvals.user });
+    });
+  },
+
+  /**
+   * Let `name` approve or reject queued debits, proving who they are with
+   * `password`. Only a salted hash is stored; adding a supervisor again
+   * replaces their password.
+   */
+  addSupervisor(name, password) {
+    return this.transaction(() => {
+      const salt = crypto.randomBytes(16).toString('hex');
+      this.supervisors = [
+        ...this.supervisors.filter((supervisor) => supervisor.name !== name),
+        { name, salt, hash: Pin.hash(password, salt) }
+      ];
+      Audit.record({ operation: 'SUPERVISORS', outcome: 'Added', supervisor: name, user: Approvals.user });
+    });
+  },
+
+  removeSupervisor(name) {
+    return this.transaction(() => {
+      this.supervisors = this.supervisors.filter((supervisor) => supervisor.name !== name);
+      Audit.record({ operation: 'SUPERVISORS', outcome: 'Removed', supervisor: name, user: Approvals.user });
+    });
+  },
+
+  /**
+   * Replace the administrator password. Only a salted hash is stored.
+   */
+  setAdminPassword(password) {
+    return this.transaction(() => {
+      const salt = crypto.randomBytes(16).toString('hex');
+      this.admin = { salt, hash: Pin.hash(password, salt) };
+      Audit.record({ operation: 'ADMIN-PASSWORD', outcome: 'Set', user: Approvals.user });
+    });
+  },
+
+  /**
+   * Change part of an account's interest and fee terms
+   */
+  setTerms(number, changes) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      const terms = { ...(account.terms || {}), ...changes };
+      if (!AccountTerms.isValid(terms)) {
+        throw new InvalidAmountError('Invalid account terms.');
+      }
+      account.terms = terms;
+      Audit.record({ operation: 'SET-TERMS', account: number, outcome: 'Changed', changes, user: Approvals.user });
+      return AccountTerms.of(account);
+    });
+  },
+
+  /**
+   * Schedule a recurring transfer of `amount` cents from one account to
+   * another, first run on `startDate`
+   */
+  addStandingOrder({ from, to, amount, frequency, startDate }) {
+    return this.transaction(() => {
+      this.getAccount(from);
+      this.getAccount(to);
+      if (from === to) {
+        throw new AccountError(Locale.t("Cannot transfer to the same account."));
+      }
+      if (!STANDING_ORDER_FREQUENCIES.includes(frequency)) {
+        throw new EndOfDayError(`Frequency must be one of ${STANDING_ORDER_FREQUENCIES.join(', ')}.`);
+      }
+      if (!isIsoDate(startDate)) {
+        throw new EndOfDayError('Start date must be YYYY-MM-DD.');
+      }
+
+      const id = this.standingOrders.reduce((max, order) => Math.max(max, order.id), 0) + 1;
+      const order = { id, from, to, amount, frequency, nextDate: startDate, status: 'active' };
+      this.standingOrders.push(order);
+      Audit.record({
+        operation: 'STANDING-ORDER', account: from, counterparty: to, amount, outcome: 'Scheduled', standingOrderId: id, user: Approvals.user
+      });
+      return order;
+    });
+  },
+
+  /**
+   * Stop a standing order from running again
+   */
+  cancelStandingOrder(id) {
+    return this.transaction(() => {
+      const order = this.standingOrders.find((candidate) => candidate.id === id && candidate.status === 'active');
+      if (!order) {
+        throw new EndOfDayError(`Standing order ${id} does not exist.`);
+      }
+      this.touch(order).status = 'cancelled';
+      Audit.record({
+        operation: 'STANDING-ORDER', account: order.from, counterparty: order.to, amount: order.amount, outcome: 'Cancelled',
+        standingOrderId: id, user: Approvals.user
+      });
+    });
+  },
+
+  /**
+   * Reserve `amount` cents of account `number` until Holds.expiryHours
+   * from now. The caller checks the available balance first.
+   */
+  addHold(number, amount) {
+    return this.transaction(() => {
+      this.getAccount(number);
+      const id = this.holds.reduce((max, hold) => Math.max(max, hold.id), 0) + 1;
+      const placedAt = Clock.now();
+      const expiresAt = new Date(placedAt.getTime() + Holds.expiryHours * 3600000);
+      const hold = { id, account: number, amount, status: 'active', placedAt: placedAt.toISOString(), expiresAt: expiresAt.toISOString() };
+      this.holds.push(hold);
+      return hold;
+    });
+  },
+
+  /**
+   * Mark active holds whose time is up as expired, recording a RELEASE
+   * entry for each. Returns the holds that expired.
+   */
+  expireHolds() {
+    return this.transaction(() => {
+      const now = Clock.now().toISOString();
+      const expired = this.holds.filter((hold) => hold.status === 'active' && hold.expiresAt <= now);
+      for (const hold of expired) {
+        this.touch(hold).status = 'expired';
+        if (this.accounts[hold.account] && this.accounts[hold.account].status === 'open') {
+          this.record({ account: hold.account, type: 'RELEASE', amount: hold.amount, outcome: 'Expired', holdId: hold.id });
+        }
+      }
+      return expired;
+    });
+  },
+
+  /**
+   * Close an account. Its balance must be withdrawn and its holds captured
+   * or released first.
+   */
+  closeAccount(number) {
+    return this.transaction(() => {
+      const account = this.getAccount(number);
+      if (account.balance !== 0) {
+        throw new AccountError(Locale.t("Account {number} still holds a balance and cannot be closed.", { number }));
+      }
+      if (Holds.active(number).length > 0) {
+        throw new AccountError(Locale.t("Account {number} has pending holds and cannot be closed.", { number }));
+      }
+      account.status = 'closed';
+      if (this.currentAccount === number) this.currentAccount = null;
+      Audit.record({ operation: 'CLOSE-ACCOUNT', account: number, outcome: 'Closed', user: Approvals.user });
+    });
+  },
+
+  /**
+   * READ operation - retrieves current balance
+   * Equivalent to: IF OPERATION-TYPE = 'READ' MOVE STORAGE-BALANCE TO BALANCE
+   */
+  read() {
+    return Money.toNumber(this.readCents());
+  },
+
+  /**
+   * WRITE operation - updates balance
+   * Equivalent to: IF OPERATION-TYPE = 'WRITE' MOVE BALANCE TO STORAGE-BALANCE
+   */
+  write(newBalance, entry) {
+    this.writeCents(Money.fromNumber(newBalance), entry);
+  },
+
+  /**
+   * READ in integer cents
+   */
+  readCents() {
+    return this.getAccount(this.currentAccount).balance;
+  },
+
+  /**
+   * WRITE in integer cents.
+   * When a ledger entry is given it is appended in the same save, so the
+   * balance and its history can never disagree on disk.
+   */
+  writeCents(newBalance, entry) {
+    this.post(this.currentAccount, newBalance, entry);
+  },
+
+  /**
+   * Set the balance of any open account, appending its ledger entry in the
+   * same save. Returns the recorded entry, if any.
+   */
+  post(number, newBalance, entry) {
+    return this.transaction(() => {
+      if (!isValidBalance(newBalance)) {
+        throw new BalanceOverflowError(`Balance ${newBalance} does not fit in PIC S9(6)V99.`);
+      }
+      const account = this.getAccount(number);
+      const previousBalance = account.balance;
+      account.balance = newBalance;
+      if (!entry) return null;
+
+      const recorded = this.appendEntry({ ...entry, account: number });
+      if (newBalance !== previousBalance) {
+        Events.emit(newBalance > previousBalance ? 'credited' : 'debited', recorded);
+      }
+      const threshold = AccountTerms.of(account).lowBalanceThreshold;
+      if (previousBalance >= threshold && newBalance < threshold) {
+        Events.emit('balanceBelowThreshold', recorded, { threshold });
+      }
+      return recorded;
+    });
+  },
+
+  /**
+   * Run `fn` as one unit of work: every change it makes is saved together,
+   * or - if it throws - rolled back in memory and never saved.
+   */
+  transaction(fn) {
+    if (this.transactionDepth > 0) return this.runTransaction(fn);
+
+    // The outermost transaction locks the data file and starts from what is
+    // on disk now, which may include other processes' changes
+    let result;
+    try {
+      result = this.file === null ? this.runTransaction(fn) : this.withLock(() => {
+        this.load();
+        return this.runTransaction(fn);
+      });
+    } finally {
+      // Rolled-back transactions leave nothing behind (see runTransaction)
+      const callbacks = this.commitCallbacks;
+      this.commitCallbacks = [];
+      callbacks.forEach((callback) => callback());
+    }
+    return result;
+  },
+
+  runTransaction(fn) {
+    // Only the outermost level copies the whole state. A nested level - one
+    // per record of a batch file - notes the records it is about to change
+    // instead (see touch), so it costs the same however long the ledger is.
+    const nested = this.transactionDepth > 0;
+    const snapshot = nested ? null : JSON.stringify(this.getState());
+    const undo = nested ? this.beginUndo() : null;
+    const pending = this.commitCallbacks.length;
+    const rollback = () => {
+      if (nested) {
+        this.undo(undo);
+      } else {
+        this.setState(JSON.parse(snapshot));
+      }
+      this.commitCallbacks.length = pending;
+    };
+
+    let result;
+    this.transactionDepth++;
+    try {
+      result = fn();
+    } catch (err) {
+      rollback();
+      throw err;
+    } finally {
+      this.transactionDepth--;
+      if (nested) this.undoStack.pop();
+    }
+    if (nested) {
+      this.keepUndo(undo);
+      return result;
+    }
+
+    try {
+      this.save();
+    } catch (err) {
+      rollback();
+      throw err;
+    }
+    return result;
+  },
+
+  /**
+   * Start the undo record of a nested transaction: how long the lists
+   * were, the accounts it opens and copies of the records it touches
+   */
+  beginUndo() {
+    const undo = {
+      lengths: {
+        ledger: this.ledger.length,
+        standingOrders: this.standingOrders.length,
+        holds: this.holds.length,
+        approvals: this.approvals.length
+      },
+      fields: { lastBusinessDate: this.lastBusinessDate, admin: this.admin, supervisors: this.supervisors },
+      opened: [],
+      touched: new Map()
+    };
+    this.undoStack.push(undo);
+    return undo;
+  },
+
+  /**
+   * Note that `record` - an account, standing order, hold or approval
+   * request - is about to change, so that a nested transaction rolling
+   * back can restore it. Returns `record`.
+   */
+  touch(record) {
+    const undo = this.undoStack[this.undoStack.length - 1];
+    if (undo && !undo.touched.has(record)) {
+      undo.touched.set(record, JSON.parse(JSON.stringify(record)));
+    }
+    return record;
+  },
+
+  /**
+   * Put back what a nested transaction changed
+   */
+  undo({ lengths, fields, opened, touched }) {
+    for (const [name, length] of Object.entries(lengths)) {
+      this[name].length = length;
+    }
+    Object.assign(this, fields);
+    for (const number of opened) {
+      delete this.accounts[number];
+    }
+    for (const [record, copy] of touched) {
+      for (const key of Object.keys(record)) {
+        if (!(key in copy)) delete record[key];
+      }
+      Object.assign(record, copy);
+    }
+  },
+
+  /**
+   * Hand what a committed nested transaction changed on to the enclosing
+   * one, which may still roll back. The enclosing copy of a record, if it
+   * has one, is the older and so the one to keep.
+   */
+  keepUndo({ opened, touched }) {
+    const parent = this.undoStack[this.undoStack.length - 1];
+    if (!parent) return;
+    parent.opened.push(...opened);
+    for (const [record, copy] of touched) {
+      if (!parent.touched.has(record)) parent.touched.set(record, copy);
+    }
+  },
+
+  /**
+   * Run `callback` once the changes made so far are saved - right away
+   * outside a transaction. It is dropped if the transaction rolls back.
+   */
+  afterCommit(callback) {
+    if (this.transactionDepth === 0) {
+      callback();
+    } else {
+      this.commitCallbacks.push(callback);
+    }
+  },
+
+  /**
+   * Record an operation that did not change the balance (e.g. a rejection)
+   */
+  record(entry) {
+    return this.transaction(() => {
+      const recorded = this.appendEntry(entry);
+      if (DEBIT_TYPES.includes(recorded.type)) {
+        Events.emit('debitRejected', recorded);
+      }
+      return recorded;
+    });
+  },
+
+  /**
+   * Append a ledger entry.
+   * `entry` holds { type, amount, outcome } with the amount in cents, plus
+   * optional details such as the counterparty of a transfer. It applies to
+   * the selected account unless `entry.account` says otherwise. The sequence
+   * number, timestamp and resulting balance are filled in here.
+   */
+  appendEntry(entry) {
+    const { account = this.currentAccount, type, amount, outcome, ...details } = entry;
+    const last = this.ledger[this.ledger.length - 1];
+    const recorded = {
+      seq: last ? last.seq + 1 : 1,
+      timestamp: Clock.now().toISOString(),
+      account,
+      type,
+      amount,
+      balance: this.getAccount(account).balance,
+      outcome,
+      ...details
+    };
+    this.ledger.push(recorded);
+    Audit.record({
+      operation: type,
+      account,
+      amount,
+      outcome,
+      balance: recorded.balance,
+      ledgerSeq: recorded.seq
+    });
+    return recorded;
+  },
+
+  /**
+   * Ledger entries for one account, optionally limited to a date range.
+   * `from` and `to` are inclusive YYYY-MM-DD dates (UTC).
+   */
+  statement(number, { from = null, to = null } = {}) {
+    return this.ledger.filter((entry) => {
+      const date = entry.timestamp.slice(0, 10);
+      return entry.account === number &&
+        (from === null || date >= from) &&
+        (to === null || date <= to);
+    });
+  }
+};
+
+// How long to wait for another process to release the data file lock, and
+// how often to check
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 5;
+
+/**
+ * Contents of a small file, or '' if it does not exist (any more)
+ */
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return '';
+  }
+}
+
+/**
+ * Remove `file`; one that is already gone is fine
+ */
+function unlinkIfExists(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * Does a process with this pid exist on this machine?
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Block the (synchronous) storage code for `ms` milliseconds
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * A stored balance must be a whole number of cents within PIC S9(6)V99
+ * (negative only when an overdraft limit allows it)
+ */
+function isValidBalance(value) {
+  return Number.isInteger(value) && Math.abs(value) <= Money.MAX;
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+// prevHash of the first audit entry
+const AUDIT_GENESIS = '0'.repeat(64);
+
+/**
+ * Append-only, hash-chained record of every operation attempt, kept apart
+ * from the data file so that editing the history behind a balance shows.
+ * Each entry is one line of JSON holding { seq, timestamp, choice,
+ * operation, account, amount, outcome, balance, ... } plus `prevHash`, the
+ * SHA-256 of the previous line, and `hash`, the SHA-256 of the entry
+ * itself. Changing, removing or reordering an entry breaks the chain at
+ * that point (see verify).
+ */
+const Audit = {
+  // Path of the log file; null keeps the log in memory only
+  file: null,
+
+  // The log itself in memory-only mode, one JSON line per entry
+  memory: [],
+
+  // Added to every entry while set, e.g. the menu choice being handled
+  context: {},
+
+  // { size, count, last } of the log file as of the last append, so the
+  // next one only reads what other processes added since
+  end: null,
+
+  open(file) {
+    this.file = file;
+    this.end = null;
+  },
+
+  reset() {
+    this.file = null;
+    this.memory = [];
+    this.context = {};
+    this.end = null;
+  },
+
+  digest(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  },
+
+  /**
+   * Audit an operation once the changes it made are saved; nothing is
+   * logged for one that rolls back. By then the operation has happened,
+   * so a log that cannot be written is reported rather than thrown.
+   */
+  record(fields) {
+    const entry = { ...this.context, ...fields };
+    const timestamp = Clock.now().toISOString();
+    DataStorage.afterCommit(() => {
+      try {
+        this.append(entry, timestamp);
+      } catch (err) {
+        this.onError(err, entry);
+      }
+    });
+  },
+
+  /**
+   * Report an entry that could not be written; replace to send these
+   * elsewhere
+   */
+  onError(err, entry) {
+    console.error(`Audit entry for ${entry.operation || 'an operation'} not written: ${err && err.message}`);
+  },
+
+  /**
+   * Chain `fields` onto the end of the log
+   */
+  append(fields, timestamp = Clock.now().toISOString()) {
+    const write = () => {
+      const { count, last } = this.file === null
+        ? { count: this.memory.length, last: this.memory[this.memory.length - 1] }
+        : this.readEnd();
+      const entry = {
+        seq: count + 1,
+        timestamp,
+        ...fields,
+        prevHash: last === undefined ? AUDIT_GENESIS : this.digest(last)
+      };
+      const line = JSON.stringify({ ...entry, hash: this.digest(JSON.stringify(entry)) });
+
+      if (this.file === null) {
+        this.memory.push(line);
+        return;
+      }
+      try {
+        const fd = fs.openSync(this.file, 'a');
+        try {
+          fs.writeSync(fd, `${line}\n`);
+          fs.fsyncSync(fd);
+        } finally {
+          fs.closeSync(fd);
+        }
+      } catch (err) {
+        this.end = null;
+        throw new StorageError(`Unable to write audit log ${this.file}: ${err.message}`);
+      }
+      this.end = { size: this.end.size + Buffer.byteLength(`${line}\n`), count: count + 1, last: line };
+    };
+    return this.file === null ? write() : DataStorage.withLock(write, this.file);
+  },
+
+  /**
+   * { count, last } of the log file: the number of entries and the last
+   * line. The log only grows, so after the first call this reads just the
+   * lines other processes appended since; a file that shrank was replaced
+   * and is read again in full.
+   */
+  readEnd() {
+    let size;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      size = 0;
+    }
+
+    if (this.end === null || size < this.end.size) {
+      const lines = this.lines();
+      this.end = { size, count: lines.length, last: lines[lines.length - 1] };
+    } else if (size > this.end.size) {
+      const added = Buffer.alloc(size - this.end.size);
+      const fd = fs.openSync(this.file, 'r');
+      try {
+        fs.readSync(fd, added, 0, added.length, this.end.size);
+      } finally {
+        fs.closeSync(fd);
+      }
+      const lines = added.toString('utf8').replace(/\n$/, '').split('\n');
+      this.end = { size, count: this.end.count + lines.length, last: lines[lines.length - 1] };
+    }
+    return this.end;
+  },
+
+  /**
+   * The raw lines of the log in `file` (default: the one in use), oldest
+   * first
+   */
+  lines(file = this.file) {
+    if (file === null) return this.memory;
+    const text = readIfExists(file);
+    return text === '' ? [] : text.replace(/\n$/, '').split('\n');
+  },
+
+  /**
+   * Walk the chain. Returns { ok, entries, broken } where `broken` is null
+   * or { seq, reason } for the first entry that does not check out: one
+   * that was altered, or one whose predecessor was altered or removed.
+   */
+  verify(lines = this.lines()) {
+    for (let i = 0; i < lines.length; i++) {
+      const seq = i + 1;
+      const broken = (reason) => ({ ok: false, entries: lines.length, broken: { seq, reason } });
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (err) {
+        return broken('the entry is not valid JSON');
+      }
+      if (entry === null || typeof entry !== 'object' || entry.seq !== seq) {
+        return broken(`expected entry ${seq} here; entries were removed, added or reordered`);
+      }
+      const { hash, ...content } = entry;
+      if (hash !== this.digest(JSON.stringify(content))) {
+        return broken('the entry does not match its hash; it was altered');
+      }
+      const expected = i === 0 ? AUDIT_GENESIS : this.digest(lines[i - 1]);
+      if (entry.prevHash !== expected) {
+        return broken(`the previous entry does not match the hash recorded here; entry ${seq - 1} was altered or replaced`);
+      }
+    }
+    return { ok: true, entries: lines.length, broken: null };
+  }
+};
+
+// ============================================================================
+// DEBIT POLICY
+// ============================================================================
+
+// The COBOL rule IF FINAL-BALANCE >= AMOUNT: no overdraft and no limits.
+// Amounts are in cents; null means "no limit". Debits above
+// approvalThreshold wait for a supervisor (see Approvals).
+const DEFAULT_DEBIT_POLICY = {
+  overdraftLimit: 0,
+  maxDebit: null,
+  dailyDebitLimit: null,
+  approvalThreshold: null
+};
+
+// Ledger entry types that take money out of an account
+const DEBIT_TYPES = ['DEBIT', 'XFER-OUT'];
+
+/**
+ * Per-account rules a debit must pass. Each account may override any part
+ * of DEFAULT_DEBIT_POLICY through its `policy` field.
+ */
+const DebitPolicy = {
+  /**
+   * Effective policy of an account
+   */
+  of(account) {
+    return { ...DEFAULT_DEBIT_POLICY, ...(account.policy || {}) };
+  },
+
+  /**
+   * A stored policy may only hold known fields with cent amounts or null
+   */
+  isValid(policy) {
+    if (policy === null || typeof policy !== 'object') return false;
+    return Object.entries(policy).every(([key, value]) =>
+      Object.prototype.hasOwnProperty.call(DEFAULT_DEBIT_POLICY, key) &&
+      (value === null ? key !== 'overdraftLimit' : Number.isInteger(value) && value >= 0 && value <= Money.MAX)
+    );
+  },
+
+  /**
+   * Total posted debits of account `number` on a YYYY-MM-DD (UTC) date
+   */
+  debitedOn(number, date) {
+    return DataStorage.ledger
+      .filter((entry) => entry.account === number && entry.outcome === 'Posted' &&
+        DEBIT_TYPES.includes(entry.type) && entry.timestamp.slice(0, 10) === date)
+      .reduce((total, entry) => total + entry.amount, 0);
+  },
+
+  /**
+   * Total of the active holds placed on account `number` on a YYYY-MM-DD
+   * (UTC) date. Their capture is not checked again, so they count towards
+   * the daily limit from the moment they are placed.
+   */
+  heldOn(number, date) {
+    return Holds.active(number)
+      .filter((hold) => hold.placedAt.slice(0, 10) === date)
+      .reduce((total, hold) => total + hold.amount, 0);
+  },
+
+  /**
+   * Check a debit of `amount` cents against the account's policy. Funds
+   * and overdraft are judged on the available balance, i.e. net of holds.
+   * Returns null if it may go ahead, otherwise { outcome, message }.
+   */
+  check(account, amount) {
+    const policy = this.of(account);
+    const currency = Currency.of(account);
+
+    if (policy.maxDebit !== null && amount > policy.maxDebit) {
+      return {
+        outcome: 'Debit limit exceeded',
+        message: Locale.t("Debit exceeds the maximum single debit of {limit}.", { limit: Display.amount(policy.maxDebit, currency) })
+      };
+    }
+
+    if (Holds.available(account) - amount < -policy.overdraftLimit) {
+      if (policy.overdraftLimit === 0) {
+        return { outcome: 'Insufficient funds', message: Locale.t("Insufficient funds for this debit.") };
+      }
+      return {
+        outcome: 'Overdraft limit exceeded',
+        message: Locale.t("Debit would exceed the overdraft limit of {limit}.", { limit: Display.amount(policy.overdraftLimit, currency) })
+      };
+    }
+
+    if (policy.dailyDebitLimit !== null) {
+      const today = Clock.today();
+      const debited = this.debitedOn(account.number, today) + this.heldOn(account.number, today);
+      if (debited + amount > policy.dailyDebitLimit) {
+        return {
+          outcome: 'Daily limit exceeded',
+          message: Locale.t("Debit would exceed the daily debit limit of {limit} ({debited} already debited today).", {
+            limit: Display.amount(policy.dailyDebitLimit, currency),
+            debited: Display.amount(debited, currency)
+          })
+        };
+      }
+    }
+
+    return null;
+  }
+};
+
+// ============================================================================
+// HOLDS
+// ============================================================================
+
+/**
+ * Holds reserve part of a balance, e.g. for a card authorisation, without
+ * posting anything. The ledger (current) balance is unchanged; the
+ * available balance - what debits are checked against - is the ledger
+ * balance less the active holds. A hold ends when it is captured (posted as
+ * a DEBIT), released, or expires after expiryHours.
+ */
+const Holds = {
+  // Hours before a hold that was not captured lapses (--hold-hours)
+  expiryHours: 168,
+
+  /**
+   * Active, unexpired holds of account `number`, oldest first
+   */
+  active(number) {
+    const now = Clock.now().toISOString();
+    return DataStorage.holds.filter((hold) =>
+      hold.account === number && hold.status === 'active' && hold.expiresAt > now);
+  },
+
+  /**
+   * Total cents held on account `number`
+   */
+  held(number) {
+    return this.active(number).reduce((total, hold) => total + hold.amount, 0);
+  },
+
+  /**
+   * Ledger balance of `account` less what is held on it
+   */
+  available(account) {
+    return account.balance - this.held(account.number);
+  },
+
+  /**
+   * The active hold `id`, throwing HoldError if there is none
+   */
+  find(id) {
+    const hold = DataStorage.holds.find((candidate) => candidate.id === id);
+    if (!hold) {
+      throw new HoldError(Locale.t("Hold {id} does not exist.", { id }));
+    }
+    if (hold.status === 'expired' || (hold.status === 'active' && hold.expiresAt <= Clock.now().toISOString())) {
+      throw new HoldError(Locale.t("Hold {id} has expired.", { id }));
+    }
+    if (hold.status === 'captured') {
+      throw new HoldError(Locale.t("Hold {id} was already captured.", { id }));
+    }
+    if (hold.status === 'released') {
+      throw new HoldError(Locale.t("Hold {id} was already released.", { id }));
+    }
+    return hold;
+  }
+};
+
+// ============================================================================
+// APPROVALS (MAKER-CHECKER)
+// ============================================================================
+
+/**
+ * Debits above an account's approvalThreshold are queued instead of
+ * posted. That covers every way money leaves an account: a request has the
+ * `type` of what it will post - a DEBIT, a transfer (XFER-OUT to its
+ * `counterparty`) or a HOLD, whose capture needs no second approval. A
+ * supervisor other than the user who asked then approves - which checks
+ * the debit policy again against the balance at that moment - or rejects
+ * them.
+ */
+const Approvals = {
+  // Who is running this process (--user) and, for a supervisor, their
+  // password (ACCOUNT_USER_PASSWORD). Who may decide is stored in the data
+  // file (DataStorage.supervisors) with a salted hash of that password, so
+  // a caller can neither name themselves nor pass for another supervisor.
+  user: null,
+  password: null,
+
+  isSupervisor(user) {
+    return user !== null && DataStorage.supervisors.some(({ name }) => name === user);
+  },
+
+  /**
+   * Throw ApprovalError unless `user` is a supervisor, and
+   * AuthenticationError unless `password` is theirs
+   */
+  authenticate(user = this.user, password = this.password) {
+    if (!this.isSupervisor(user)) {
+      throw new ApprovalError(Locale.t("Only a supervisor can approve or reject debits."));
+    }
+    const supervisor = DataStorage.supervisors.find(({ name }) => name === user);
+    if (typeof password !== 'string' || !Pin.matches(password, supervisor)) {
+      throw new AuthenticationError(Locale.t("Supervisor {user} needs their password (ACCOUNT_USER_PASSWORD).", { user }));
+    }
+  },
+
+  /**
+   * Shape check for an entry of `supervisors` in the data file
+   */
+  isValidRecord(record) {
+    return record !== null && typeof record === 'object' && typeof record.name === 'string' && record.name !== '' &&
+      typeof record.salt === 'string' && /^[0-9a-f]{64}$/.test(record.hash);
+  },
+
+  /**
+   * Does a debit of `amount` cents from `account` need approval?
+   */
+  isRequired(account, amount) {
+    const { approvalThreshold } = DebitPolicy.of(account);
+    return approvalThreshold !== null && amount > approvalThreshold;
+  },
+
+  /**
+   * Requests waiting for a decision, oldest first
+   */
+  pending() {
+    return DataStorage.approvals.filter((approval) => approval.status === 'pending');
+  },
+
+  /**
+   * Queue a debit of `amount` cents from account `number`: a plain DEBIT by
+   * default, or an XFER-OUT to `counterparty` or a HOLD. `details` are
+   * added to the ledger entries when it posts (a currency conversion, the
+   * standing order that triggered it). Throws ApprovalError when nobody
+   * knows who is asking, as nobody could then tell who may approve it.
+   */
+  request(number, amount, { type = 'DEBIT', counterparty, details = {} } = {}) {
+    if (this.user === null) {
+      throw new ApprovalError(Locale.t("Debits above the approval threshold need a known user (--user or ACCOUNT_USER)."));
+    }
+    return DataStorage.transaction(() => {
+      DataStorage.getAccount(number);
+      const id = DataStorage.approvals.reduce((max, approval) => Math.max(max, approval.id), 0) + 1;
+      const approval = {
+        id,
+        account: number,
+        type,
+        ...(counterparty ? { counterparty } : {}),
+        amount,
+        details,
+        requestedBy: this.user,
+        requestedAt: Clock.now().toISOString(),
+        status: 'pending'
+      };
+      DataStorage.approvals.push(approval);
+      Audit.record({ operation: type, account: number, amount, outcome: 'Pending approval', approvalId: id, user: this.user });
+      return approval;
+    });
+  },
+
+  /**
+   * Post request `id` if the debit policy allows it now. Returns
+   * { outcome, balance, entry, approval } like postDebit (postTransfer,
+   * postHold); a refusal is recorded and closes the request as 'failed'.
+   * Throws ApprovalError unless `user` is a supervisor and not the
+   * requester, and AuthenticationError unless `password` is theirs.
+   */
+  approve(id, user = this.user, password = this.password) {
+    return DataStorage.transaction(() => {
+      const approval = this.decide(id, user, password);
+      if (approval.requestedBy === null) {
+        throw new ApprovalError(Locale.t("Request {id} has no known requester; it can only be rejected.", { id }));
+      }
+      if (approval.requestedBy === user) {
+        throw new ApprovalError(Locale.t("Request {id} was made by {user}; another supervisor must approve it.", { id, user }));
+      }
+      approval.decidedBy = user;
+      approval.decidedAt = Clock.now().toISOString();
+      Audit.record({ operation: approval.type || 'DEBIT', account: approval.account, amount: approval.amount, outcome: 'Approved', approvalId: id, user });
+
+      // The balance may have changed since the request was made
+      const result = this.post(approval);
+      if (result.outcome !== 'Posted' && result.outcome !== 'Held') {
+        approval.status = 'failed';
+        return { ...result, approval };
+      }
+      result.entry.approvedBy = user;
+      approval.status = 'approved';
+      approval.seq = result.entry.seq;
+      return { ...result, approval };
+    });
+  },
+
+  /**
+   * Post what `approval` asked for. The entries carry its approvalId, which
+   * also keeps postTransfer and postHold from queueing it a second time.
+   */
+  post(approval) {
+    const details = { ...approval.details, approvalId: approval.id };
+    if (approval.type === 'XFER-OUT') {
+      return Operations.postTransfer(approval.account, approval.counterparty, approval.amount, details);
+    }
+    if (approval.type === 'HOLD') {
+      return Operations.postHold(approval.account, approval.amount, details);
+    }
+
+    // Requests queued before transfers and holds were checked have no type
+    const account = DataStorage.getAccount(approval.account);
+    const rejection = DebitPolicy.check(account, approval.amount);
+    if (rejection) {
+      const entry = DataStorage.record({
+        account: account.number, type: 'DEBIT', amount: approval.amount, outcome: rejection.outcome, ...details
+      });
+      return { ...rejection, balance: account.balance, entry };
+    }
+    const newBalance = Money.subtract(account.balance, approval.amount);
+    const entry = DataStorage.post(account.number, newBalance,
+      { type: 'DEBIT', amount: approval.amount, outcome: 'Posted', ...details });
+    return { outcome: 'Posted', balance: newBalance, entry };
+  },
+
+  /**
+   * Close request `id` without posting. Throws ApprovalError unless `user`
+   * is a supervisor, and AuthenticationError unless `password` is theirs.
+   */
+  reject(id, reason = '', user = this.user, password = this.password) {
+    return DataStorage.transaction(() => {
+      const approval = this.decide(id, user, password);
+      Object.assign(approval, {
+        status: 'rejected',
+        decidedBy: user,
+        decidedAt: Clock.now().toISOString(),
+        ...(reason ? { reason } : {})
+      });
+      Audit.record({ operation: approval.type || 'DEBIT', account: approval.account, amount: approval.amount, outcome: 'Rejected', approvalId: id, user });
+      return approval;
+    });
+  },
+
+  /**
+   * The pending request `id`, once `user` has proved to be a supervisor
+   */
+  decide(id, user, password) {
+    this.authenticate(user, password);
+    const approval = DataStorage.approvals.find((candidate) => candidate.id === id);
+    if (!approval) {
+      throw new ApprovalError(Locale.t("Request {id} does not exist.", { id }));
+    }
+    if (approval.status !== 'pending') {
+      throw new ApprovalError(Locale.t("Request {id} was already decided ({status}).", { id, status: approval.status }));
+    }
+    return DataStorage.touch(approval);
+  }
+};
+
+// ============================================================================
+// DOMAIN EVENTS
+// ============================================================================
+
+// Events raised by postings, with what each one means:
+//   credited              - a posted entry increased the balance
+//   debited               - a posted entry decreased the balance
+//   debitRejected         - a debit or outgoing transfer was refused
+//   balanceBelowThreshold - the balance fell below the account's
+//                           low-balance threshold (see AccountTerms)
+const EVENT_NAMES = ['credited', 'debited', 'debitRejected', 'balanceBelowThreshold'];
+
+/**
+ * Subscriptions for notifications such as low-balance alerts, e.g.
+ *   Events.on('debited', (event) => { if (event.amount > 50000) warn(event); });
+ * A subscriber is called only after the change has been saved, with
+ * { event, account, currency, type, amount, balance, outcome, entry }
+ * (amounts in cents; `entry` is the full ledger entry), plus `threshold`
+ * for balanceBelowThreshold. A subscriber that throws, or whose promise
+ * rejects, is reported through onError and does not affect the operation.
+ */
+const Events = {
+  // Subscribers by event name
+  subscribers: {},
+
+  /**
+   * Subscribe to an event; returns a function that unsubscribes again
+   */
+  on(name, handler) {
+    if (!EVENT_NAMES.includes(name)) {
+      throw new Error(`Unknown event '${name}' (use ${EVENT_NAMES.join(', ')})`);
+    }
+    this.subscribers[name] = [...(this.subscribers[name] || []), handler];
+    return () => this.off(name, handler);
+  },
+
+  off(name, handler) {
+    this.subscribers[name] = (this.subscribers[name] || []).filter((subscriber) => subscriber !== handler);
+  },
+
+  /**
+   * Deliver an event about ledger entry `entry` once it has been saved
+   */
+  emit(name, entry, extra = {}) {
+    const account = DataStorage.accounts[entry.account];
+    const payload = Object.freeze({
+      event: name,
+      account: entry.account,
+      currency: Currency.of(account),
+      type: entry.type,
+      amount: entry.amount,
+      balance: entry.balance,
+      outcome: entry.outcome,
+      ...extra,
+      entry: Object.freeze({ ...entry })
+    });
+    DataStorage.afterCommit(() => this.deliver(name, payload));
+  },
+
+  deliver(name, payload) {
+    for (const handler of this.subscribers[name] || []) {
+      try {
+        const result = handler(payload);
+        if (result && typeof result.then === 'function') {
+          result.then(null, (err) => this.onError(err, name));
+        }
+      } catch (err) {
+        this.onError(err, name);
+      }
+    }
+  },
+
+  /**
+   * Report a failing subscriber; replace to send these elsewhere
+   */
+  onError(err, name) {
+    console.error(`Subscriber to '${name}' failed: ${err && err.message}`);
+  },
+
+  reset() {
+    this.subscribers = {};
+  }
+};
+
+// ============================================================================
+// PIN AUTHENTICATION
+// ============================================================================
+
+/**
+ * Account PINs for the interactive menu. A PIN is stored as an scrypt hash
+ * with a random per-account salt, never in clear.
+ */
+const Pin = {
+  MIN_LENGTH: 4,
+  MAX_LENGTH: 8,
+
+  // Consecutive wrong PINs after which an account locks (--max-pin-attempts)
+  maxAttempts: 3,
+
+  isValid(pin) {
+    return new RegExp(`^\\d{${this.MIN_LENGTH},${this.MAX_LENGTH}}$`).test(pin);
+  },
+
+  hash(pin, salt) {
+    return crypto.scryptSync(String(pin), salt, 32).toString('hex');
+  },
+
+  /**
+   * Compare a PIN with a stored { salt, hash } in constant time
+   */
+  matches(pin, stored) {
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = Buffer.from(this.hash(pin, stored.salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  /**
+   * Shape check for the `pin` field of an account in the data file
+   */
+  isValidRecord(record) {
+    return record !== null && typeof record === 'object' &&
+      typeof record.salt === 'string' && /^[0-9a-f]{64}$/.test(record.hash) &&
+      Number.isInteger(record.failedAttempts) && record.failedAttempts >= 0 &&
+      typeof record.locked === 'boolean';
+  }
+};
+
+/**
+ * The administrator password that reset-pin and the other administrator
+ * commands require. It is given in ACCOUNT_ADMIN_PASSWORD rather than as a
+ * flag, so it does not show in the process list, and is stored hashed like
+ * a PIN.
+ */
+const Admin = {
+  MIN_LENGTH: 8,
+
+  isValid(password) {
+    return typeof password === 'string' && password.length >= this.MIN_LENGTH;
+  },
+
+  /**
+   * Is `password` the administrator password?
+   */
+  matches(password) {
+    return DataStorage.admin !== null && typeof password === 'string' && Pin.matches(password, DataStorage.admin);
+  },
+
+  /**
+   * Throw AuthenticationError unless `password` is the administrator
+   * password
+   */
+  authorize(password) {
+    if (DataStorage.admin === null) {
+      throw new AuthenticationError('No administrator password is set. Set one with admin-password first.');
+    }
+    if (!this.matches(password)) {
+      throw new AuthenticationError('This needs the administrator password (ACCOUNT_ADMIN_PASSWORD).');
+    }
+  },
+
+  /**
+   * Shape check for the `admin` field of the data file
+   */
+  isValidRecord(record) {
+    return record !== null && typeof record === 'object' &&
+      typeof record.salt === 'string' && /^[0-9a-f]{64}$/.test(record.hash);
+  }
+};
+
+// ============================================================================
+// OPERATIONS MODULE (formerly Operations.cob)
+// ============================================================================
+
+/**
+ * The account operations as a programmatic API: no prompting and no
+ * output. Results are plain objects; refusals are thrown as typed errors.
+ * Amounts are integers in the minor units of the currency (cents).
+ */
+const Operations = {
+  /**
+   * Balance of an account (default: the selected one) as
+   * { account, currency, balance, available }, in minor units of its
+   * currency; `available` is the balance less active holds
+   */
+  balance(number = DataStorage.currentAccount) {
+    const account = DataStorage.getAccount(number);
+    return {
+      account: account.number,
+      currency: Currency.of(account),
+      balance: account.balance,
+      available: Holds.available(account)
+    };
+  },
+
+  /**
+   * Check the PIN of account `number` before acting on it outside the menu
+   * (commands, the HTTP API). A wrong PIN counts towards the lock as it
+   * does in the menu; an account without a PIN needs none. Throws
+   * AuthenticationError for a locked account or a missing or wrong PIN.
+   */
+  authenticate(number, pin) {
+    const account = DataStorage.getAccount(number);
+    if (account.pin === undefined) return;
+
+    const locked = () => new AuthenticationError(
+      Locale.t("Account {number} is locked. Please contact an administrator.", { number: account.number }));
+    if (account.pin.locked) throw locked();
+    if (typeof pin !== 'string' || pin === '') {
+      throw new AuthenticationError(Locale.t("Account {number} needs its PIN.", { number: account.number }));
+    }
+    const result = DataStorage.checkPin(account.number, pin);
+    if (result.locked) throw locked();
+    if (!result.ok) {
+      throw new AuthenticationError(Locale.t("Incorrect PIN. {attempts} attempt(s) left.", { attempts: result.attemptsLeft }));
+    }
+  },
+
+  /**
+   * Credit `amount` cents to an account (default: the selected one).
+   * `options.currency` names a foreign currency to convert from.
+   * Returns { account, type, amount, currency, balance, entry } where
+   * `amount` is what was posted in the account's currency. Throws
+   * InvalidAmountError, BalanceOverflowError, CurrencyError or AccountError.
+   */
+  credit(amount, { account = DataStorage.currentAccount, currency } = {}) {
+    requireAmount(amount);
+    return posted(this.postCredit(account, amount, currency));
+  },
+
+  /**
+   * Debit `amount` cents from an account, like credit(). Throws
+   * InsufficientFundsError or DebitLimitError when the debit policy refuses
+   * it; the rejection is still recorded in the ledger. Throws
+   * PendingApprovalError when it was queued for approval instead.
+   */
+  debit(amount, { account = DataStorage.currentAccount, currency } = {}) {
+    requireAmount(amount);
+    return posted(this.postDebit(account, amount, currency));
+  },
+
+  /**
+   * Transfer `amount` cents from an account (default: the selected one) to
+   * `destination`. Returns the source leg like debit() and throws the same
+   * errors, plus AccountError for an unknown or identical destination.
+   */
+  transfer(destination, amount, { account = DataStorage.currentAccount } = {}) {
+    requireAmount(amount);
+    return posted(this.postTransfer(account, destination, amount));
+  },
+
+  /**
+   * Reverse the posted credit or debit with sequence number `seq`. Returns
+   * the REVERSAL entry like credit(); throws ReversalError if it cannot be
+   * reversed, or InsufficientFundsError/BalanceOverflowError if the
+   * compensating entry is refused.
+   */
+  reverse(seq, reason = '') {
+    return posted(this.postReversal(seq, reason));
+  },
+
+  /**
+   * Place a hold of `amount` cents on an account (default: the selected
+   * one). Returns { account, currency, balance, available, hold }; throws
+   * InsufficientFundsError, DebitLimitError or PendingApprovalError like
+   * debit().
+   */
+  hold(amount, { account = DataStorage.currentAccount } = {}) {
+    requireAmount(amount);
+    const result = this.postHold(account, amount);
+    if (result.outcome === 'Pending approval') throw pendingApprovalError(result);
+    if (result.outcome !== 'Held') throw rejectionError(result);
+    return { ...this.balance(account), hold: result.hold };
+  },
+
+  /**
+   * Capture hold `id`: post a DEBIT of `amount` cents (default: all of it)
+   * and release the rest. The funds were reserved - and a hold above the
+   * approval threshold approved - when the hold was placed, so neither is
+   * checked again. Returns the DEBIT
+   * like debit(), plus the `hold`; throws HoldError or InvalidAmountError.
+   */
+  capture(id, amount = null) {
+    return DataStorage.transaction(() => {
+      DataStorage.expireHolds();
+      const hold = Holds.find(id);
+      const captured = amount === null ? hold.amount : amount;
+      requireAmount(captured);
+      const account = DataStorage.getAccount(hold.account);
+      if (captured > hold.amount) {
+        throw new HoldError(Locale.t("Cannot capture {amount}; hold {id} is for {held}.", {
+          amount: Display.amount(captured, Currency.of(account)),
+          id,
+          held: Display.amount(hold.amount, Currency.of(account))
+        }));
+      }
+
+      DataStorage.touch(hold);
+      hold.status = 'captured';
+      hold.captured = captured;
+      const newBalance = Money.subtract(account.balance, captured);
+      const entry = DataStorage.post(hold.account, newBalance,
+        { type: 'DEBIT', amount: captured, outcome: 'Posted', holdId: id });
+      if (captured < hold.amount) {
+        DataStorage.record({ account: hold.account, type: 'RELEASE', amount: hold.amount - captured, outcome: 'Released', holdId: id });
+      }
+      return { ...posted({ outcome: 'Posted', balance: newBalance, entry }), hold };
+    });
+  },
+
+  /**
+   * Release hold `id` without posting anything. Returns
+   * { account, currency, balance, available, hold }; throws HoldError.
+   */
+  release(id) {
+    return DataStorage.transaction(() => {
+      DataStorage.expireHolds();
+      const hold = DataStorage.touch(Holds.find(id));
+      hold.status = 'released';
+      DataStorage.record({ account: hold.account, type: 'RELEASE', amount: hold.amount, outcome: 'Released', holdId: id });
+      return { ...this.balance(hold.account), hold };
+    });
+  },
+
+  /**
+   * Place a hold of `amount` cents on account `number` if the debit policy
+   * would allow a debit of that much, and record it as a HOLD entry with
+   * `details`. Above the approval threshold it is queued like postDebit.
+   * Returns { outcome: 'Held', balance, hold, entry }, or the rejection
+   * like postDebit.
+   */
+  postHold(number, amount, details = {}) {
+    return DataStorage.transaction(() => {
+      DataStorage.expireHolds();
+      const account = DataStorage.getAccount(number);
+      const rejection = DebitPolicy.check(account, amount);
+      if (rejection) {
+        const entry = DataStorage.record({ account: number, type: 'HOLD', amount, outcome: rejection.outcome, ...details });
+        return { ...rejection, balance: account.balance, entry };
+      }
+
+      if (!details.approvalId && Approvals.isRequired(account, amount)) {
+        const approval = Approvals.request(number, amount, { type: 'HOLD', details });
+        return {
+          outcome: 'Pending approval',
+          message: Locale.t("Hold of {amount} is awaiting a supervisor's approval (request {id}).",
+            { amount: Display.amount(amount, Currency.of(account)), id: approval.id }),
+          balance: account.balance,
+          approval
+        };
+      }
+
+      const hold = DataStorage.addHold(number, amount);
+      const entry = DataStorage.record({ account: number, type: 'HOLD', amount, outcome: 'Held', holdId: hold.id, ...details });
+      return { outcome: 'Held', balance: account.balance, hold, entry };
+    });
+  },
+
+  /**
+   * Post a credit of `amount` cents to account `number` and record it.
+   * This and the other post* functions report a refusal as an outcome
+   * rather than an error, for callers that tally outcomes (batch files,
+   * the end-of-day cycle).
+   * An amount in another `currency` is converted into the account's
+   * currency first and the conversion is recorded on the ledger entry.
+   * Returns { outcome, balance, entry } plus a `message` when rejected;
+   * throws CurrencyError if there is no exchange rate.
+   */
+  postCredit(number, amount, currency) {
+    return DataStorage.transaction(() => {
+      const account = DataStorage.getAccount(number);
+      const currentBalance = account.balance;
+      const { amount: converted, details } = this.convert(amount, currency || Currency.of(account), Currency.of(account));
+
+      // COBOL's ADD would silently drop the high-order digit; reject instead
+      let newBalance;
+      try {
+        newBalance = Money.add(currentBalance, converted, Currency.minorUnits(Currency.of(account)));
+      } catch (err) {
+        if (!(err instanceof BalanceOverflowError)) throw err;
+        const entry = DataStorage.record({ account: number, type: 'CREDIT', amount: converted, outcome: 'Balance overflow', ...details });
+        return { outcome: 'Balance overflow', message: err.message, balance: currentBalance, entry };
+      }
+
+      const entry = DataStorage.post(number, newBalance, { type: 'CREDIT', amount: converted, outcome: 'Posted', ...details });
+      return { outcome: 'Posted', balance: newBalance, entry };
+    });
+  },
+
+  /**
+   * Post a debit of `amount` cents to account `number` and record it,
+   * converting from `currency` like postCredit. Above the account's
+   * approval threshold it is queued instead, with outcome
+   * 'Pending approval' and the `approval` request.
+   * Returns { outcome, balance, entry } plus a `message` when rejected;
+   * throws CurrencyError if there is no exchange rate.
+   */
+  postDebit(number, amount, currency) {
+    return DataStorage.transaction(() => {
+      const account = DataStorage.getAccount(number);
+      const currentBalance = account.balance;
+      const { amount: converted, details } = this.convert(amount, currency || Currency.of(account), Currency.of(account));
+
+      // Validation: Check the debit policy. The default policy is the COBOL
+      // rule IF FINAL-BALANCE >= AMOUNT.
+      const rejection = DebitPolicy.check(account, converted);
+      if (rejection) {
+        const entry = DataStorage.record({ account: number, type: 'DEBIT', amount: converted, outcome: rejection.outcome, ...details });
+        return { ...rejection, balance: currentBalance, entry };
+      }
+
+      // Maker-checker: large debits wait for a supervisor instead
+      if (Approvals.isRequired(account, converted)) {
+        const approval = Approvals.request(number, converted, { details });
+        return {
+          outcome: 'Pending approval',
+          message: Locale.t("Debit of {amount} is awaiting a supervisor's approval (request {id}).",
+            { amount: Display.amount(converted, Currency.of(account)), id: approval.id }),
+          balance: currentBalance,
+          approval
+        };
+      }
+
+      const newBalance = Money.subtract(currentBalance, converted);
+      const entry = DataStorage.post(number, newBalance, { type: 'DEBIT', amount: converted, outcome: 'Posted', ...details });
+      return { outcome: 'Posted', balance: newBalance, entry };
+    });
+  },
+
+  /**
+   * Express `amount` minor units of currency `from` in currency `to`.
+   * Returns { amount, details } where `details` records the conversion for
+   * the ledger entry (empty when both currencies are the same). Throws
+   * CurrencyError without a rate and InvalidAmountError if the converted
+   * amount is less than one minor unit.
+   */
+  convert(amount, from, to) {
+    if (from === to) {
+      return { amount, details: {} };
+    }
+
+    const conversion = ExchangeRates.convert(amount, from, to);
+    if (conversion.amount === 0) {
+      throw new InvalidAmountError(Locale.t("Invalid amount. {amount} is less than {minimum}.",
+        { amount: Display.amount(amount, from), minimum: Display.amount(1, to) }));
+    }
+    return {
+      amount: conversion.amount,
+      details: { foreignCurrency: from, foreignAmount: amount, exchangeRate: conversion.rate }
+    };
+  },
+
+  /**
+   * Reverse ledger entry `seq` with a REVERSAL entry whose `reverses` field
+   * holds the original sequence number. Reversing a credit takes the money
+   * back out and so is subject to the insufficient funds rule.
+   * Returns { outcome, balance, entry } like postCredit/postDebit; throws
+   * ReversalError if the entry cannot be reversed at all.
+   */
+  postReversal(seq, reason = '') {
+    return DataStorage.transaction(() => {
+      const original = DataStorage.ledger.find((entry) => entry.seq === seq);
+      if (!original) {
+        throw new ReversalError(Locale.t("Transaction {seq} does not exist.", { seq }));
+      }
+      if (original.outcome !== 'Posted' || (original.type !== 'CREDIT' && original.type !== 'DEBIT')) {
+        throw new ReversalError(Locale.t("Transaction {seq} cannot be reversed; only posted credits and debits can.", { seq }));
+      }
+      const previous = DataStorage.ledger.find((entry) => entry.reverses === seq && entry.outcome === 'Posted');
+      if (previous) {
+        throw new ReversalError(Locale.t("Transaction {seq} was already reversed by transaction {by}.", { seq, by: previous.seq }));
+      }
+
+      const number = original.account;
+      const amount = original.amount;
+      const currentBalance = DataStorage.getAccount(number).balance;
+      const entry = { account: number, type: 'REVERSAL', amount, reverses: seq, ...(reason ? { reason } : {}) };
+
+      let newBalance;
+      if (original.type === 'CREDIT') {
+        if (Holds.available(DataStorage.getAccount(number)) < amount) {
+          const rejected = DataStorage.record({ ...entry, outcome: 'Insufficient funds' });
+          return {
+            outcome: 'Insufficient funds',
+            message: Locale.t("Insufficient funds to reverse this credit."),
+            balance: currentBalance,
+            entry: rejected
+          };
+        }
+        newBalance = Money.subtract(currentBalance, amount);
+      } else {
+        try {
+          newBalance = Money.add(currentBalance, amount, Currency.minorUnits(Currency.of(DataStorage.getAccount(number))));
+        } catch (err) {
+          if (!(err instanceof BalanceOverflowError)) throw err;
+          const rejected = DataStorage.record({ ...entry, outcome: 'Balance overflow' });
+          return { outcome: 'Balance overflow', message: err.message, balance: currentBalance, entry: rejected };
+        }
+      }
+
+      const posted = DataStorage.post(number, newBalance, { ...entry, outcome: 'Posted' });
+      return { outcome: 'Posted', balance: newBalance, entry: posted };
+    });
+  },
+
+  /**
+   * Move `amount` cents from account `source` to `destination` and record
+   * both legs. `details` are added to both ledger entries (e.g. the
+   * standing order that triggered it). Between accounts in different
+   * currencies the amount is in the source currency and the destination
+   * leg records the conversion. Above the source account's approval
+   * threshold the transfer is queued like postDebit, unless `details` name
+   * the approved request. Returns { outcome, balance, entry } for the
+   * source leg, plus a `message` when rejected; throws CurrencyError if
+   * there is no exchange rate.
+   */
+  postTransfer(source, destination, amount, details = {}) {
+    return DataStorage.transaction(() => {
+      if (destination === source) {
+        throw new AccountError(Locale.t("Cannot transfer to the same account."));
+      }
+      const sourceAccount = DataStorage.getAccount(source);
+      const destinationAccount = DataStorage.getAccount(destination);
+      const credited = this.convert(amount, Currency.of(sourceAccount), Currency.of(destinationAccount));
+      const rejected = { account: source, type: 'XFER-OUT', amount, counterparty: destination, ...details };
+
+      const rejection = DebitPolicy.check(sourceAccount, amount);
+      if (rejection) {
+        const entry = DataStorage.record({ ...rejected, outcome: rejection.outcome });
+        const message = rejection.outcome === 'Insufficient funds'
+          ? Locale.t("Insufficient funds for this transfer.")
+          : rejection.message;
+        return { outcome: rejection.outcome, message, balance: sourceAccount.balance, entry };
+      }
+
+      if (!details.approvalId && Approvals.isRequired(sourceAccount, amount)) {
+        const approval = Approvals.request(source, amount, { type: 'XFER-OUT', counterparty: destination, details });
+        return {
+          outcome: 'Pending approval',
+          message: Locale.t("Transfer of {amount} to {destination} is awaiting a supervisor's approval (request {id}).",
+            { amount: Display.amount(amount, Currency.of(sourceAccount)), destination, id: approval.id }),
+          balance: sourceAccount.balance,
+          approval
+        };
+      }
+
+      let newDestinationBalance;
+      try {
+        newDestinationBalance = Money.add(destinationAccount.balance, credited.amount,
+          Currency.minorUnits(Currency.of(destinationAccount)));
+      } catch (err) {
+        if (!(err instanceof BalanceOverflowError)) throw err;
+        const entry = DataStorage.record({ ...rejected, outcome: 'Balance overflow' });
+        return { outcome: 'Balance overflow', message: Locale.t("Transfer rejected. {reason}", { reason: err.message }), balance: sourceAccount.balance, entry };
+      }
+
+      // Both legs are saved together by the enclosing transaction
+      const newSourceBalance = Money.subtract(sourceAccount.balance, amount);
+      const entry = DataStorage.post(source, newSourceBalance,
+        { type: 'XFER-OUT', amount, outcome: 'Posted', counterparty: destination, ...details });
+      const into = DataStorage.post(destination, newDestinationBalance,
+        { type: 'XFER-IN', amount: credited.amount, outcome: 'Posted', counterparty: source, linkedSeq: entry.seq, ...credited.details, ...details });
+      entry.linkedSeq = into.seq;
+      return { outcome: 'Posted', balance: newSourceBalance, entry };
+    });
+  },
+
+  /**
+   * Validate an amount with an optional trailing currency code or a
+   * currency symbol, e.g. "50.00 EUR" or "€50.00". Returns
+   * { amount, currency } in minor units of that currency, which defaults
+   * to `currency`. Throws InvalidAmountError or CurrencyError.
+   */
+  parseMoney(text, currency = DEFAULT_CURRENCY, options = {}) {
+    const match = /^(.*\S)\s+([A-Za-z]{3})$/.exec(String(text).trim());
+    let code = match ? match[2].toUpperCase() : currency;
+    if (!match) {
+      const unsigned = String(text).trim().replace(/^[+-]/, '');
+      code = Object.keys(CURRENCIES).find((candidate) => {
+        const symbol = CURRENCIES[candidate].symbol.trim();
+        return unsigned.startsWith(symbol) || unsigned.endsWith(symbol);
+      }) || currency;
+    }
+    Currency.minorUnits(code);
+    return { amount: this.parseAmount(match ? match[1] : text, { ...options, currency: code }), currency: code };
+  },
+
+  /**
+   * Validate an amount entered by a user or sent by a client and return it
+   * in cents (minor units of `currency`), see Money.parseInput. Numbers are
+   * written the way `locale` writes them; files and API requests pass
+   * DEFAULT_LOCALE. Throws InvalidAmountError; every entry point uses this
+   * rule.
+   */
+  parseAmount(text, { allowZero = false, currency = DEFAULT_CURRENCY, locale = Locale.current } = {}) {
+    const amount = Money.parseInput(text, Currency.minorUnits(currency), CURRENCIES[currency].symbol,
+      Locale.numberFormat(locale));
+    if (amount < 0 || (amount === 0 && !allowZero)) {
+      throw new InvalidAmountError(allowZero
+        ? Locale.t("Invalid amount. Please enter zero or a positive number.")
+        : Locale.t("Invalid amount. Please enter a positive number."));
+    }
+    return amount;
+  }
+};
+
+/**
+ * Reject anything but a positive whole number of cents
+ */
+function requireAmount(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new InvalidAmountError(Locale.t("Invalid amount. Please enter a positive number."));
+  }
+}
+
+/**
+ * The PendingApprovalError for a post* result that was queued
+ */
+function pendingApprovalError(result) {
+  return Object.assign(new PendingApprovalError(result.message),
+    { outcome: result.outcome, balance: result.balance, approval: result.approval });
+}
+
+/**
+ * Unwrap the result of a post* function: the posted entry as
+ * { account, type, amount, currency, balance, entry }, or the typed error
+ * for its outcome
+ */
+function posted(result) {
+  if (result.outcome === 'Pending approval') throw pendingApprovalError(result);
+  if (result.outcome !== 'Posted') throw rejectionError(result);
+  const { entry } = result;
+  return {
+    account: entry.account,
+    type: entry.type,
+    amount: entry.amount,
+    currency: Currency.of(DataStorage.accounts[entry.account]),
+    balance: result.balance,
+    entry
+  };
+}
+
+// ============================================================================
+// INTERACTIVE MENU
+// ============================================================================
+
+// Ledger entries shown per page of the statement view
+const STATEMENT_PAGE_SIZE = 10;
+const STATEMENT_HEADER =
+  '  Seq Date/Time            Type          Amount     Balance  Outcome';
+
+/**
+ * The menu dialogs: each prompts on the readline interface, calls the
+ * Operations API and prints the outcome.
+ */
+const Menu = {
+  // Accounts whose PIN was entered in this menu session (see runMenu)
+  loggedIn: new Set(),
+
+  /**
+   * TOTAL operation - display current balance
+   * Equivalent to COBOL:
+   *   IF OPERATION-TYPE = 'TOTAL'
+   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
+   *     DISPLAY "Current balance: " FINAL-BALANCE
+   */
+  async viewBalance(rl) {
+    if (!this.requireAccount()) return;
+
+    const { balance, available, currency } = Operations.balance();
+    const lines = [Locale.t("Current balance: {balance}", { balance: Display.amount(balance, currency) })];
+    // The legacy display knows nothing of holds; it only changes when there are some
+    if (Display.mode !== 'cobol' || available !== balance) {
+      lines.push(Locale.t("Available balance: {balance}", { balance: Display.amount(available, currency) }));
+    }
+    console.log(Display.message(lines.join('\n')));
+  },
+
+  /**
+   * CREDIT operation - add amount to balance
+   * Equivalent to COBOL:
+   *   IF OPERATION-TYPE = 'CREDIT'
+   *     DISPLAY "Enter credit amount: "
+   *     ACCEPT AMOUNT
+   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
+   *     ADD AMOUNT TO FINAL-BALANCE
+   *     CALL 'DataProgram' USING 'WRITE', FINAL-BALANCE
+   *     DISPLAY "Amount credited. New balance: " FINAL-BALANCE
+   */
+  async credit(rl) {
+    if (!this.requireAccount()) return;
+
+    const { currency } = Operations.balance();
+    const money = await this.getMoney(rl, Locale.t("Enter credit amount: "), currency);
+    if (money === null) return;
+
+    try {
+      const result = Operations.credit(money.amount, { currency: money.currency });
+      console.log(Display.message(
+        conversionNote(result.entry, currency) +
+          Locale.t("Amount credited. New balance: {balance}", { balance: Display.amount(result.balance, currency) })
+      ));
+    } catch (err) {
+      if (!(err instanceof BalanceOverflowError)) throw err;
+      console.log(Display.message(Locale.t("Credit rejected. {reason}", { reason: err.message })));
+    }
+  },
+
+  /**
+   * DEBIT operation - subtract amount from balance
+   * Equivalent to COBOL:
+   *   IF OPERATION-TYPE = 'DEBIT'
+   *     DISPLAY "Enter debit amount: "
+   *     ACCEPT AMOUNT
+   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
+   *     IF FINAL-BALANCE >= AMOUNT
+   *       SUBTRACT AMOUNT FROM FINAL-BALANCE
+   *       CALL 'DataProgram' USING 'WRITE', FINAL-BALANCE
+   *       DISPLAY "Amount debited. New balance: " FINAL-BALANCE
+   *     ELSE
+   *       DISPLAY "Insufficient funds for this debit."
+   *     END-IF
+   */
+  async debit(rl) {
+    if (!this.requireAccount()) return;
+
+    const { currency } = Operations.balance();
+    const money = await this.getMoney(rl, Locale.t("Enter debit amount: "), currency);
+    if (money === null) return;
+
+    try {
+      const result = Operations.debit(money.amount, { currency: money.currency });
+      console.log(Display.message(
+        conversionNote(result.entry, currency) +
+          Locale.t("Amount debited. New balance: {balance}", { balance: Display.amount(result.balance, currency) })
+      ));
+    } catch (err) {
+      if (!isRejection(err) && !(err instanceof PendingApprovalError) && !(err instanceof ApprovalError)) throw err;
+      console.log(Display.message(err.message));
+    }
+  },
+
+  /**
+   * REVERSE operation - undo a mistyped credit or debit of the selected
+   * account by posting a compensating entry that references the original
+   */
+  async reverse(rl) {
+    if (!this.requireAccount()) return;
+
+    const answer = await ask(rl, Locale.t("Enter transaction number to reverse: "));
+    const seq = /^\d+$/.test(answer) ? Number(answer) : null;
+    const original = DataStorage.ledger.find((entry) => entry.seq === seq);
+    if (!original || original.account !== DataStorage.currentAccount) {
+      console.log(Display.message(Locale.t("Transaction {seq} not found for this account.", { seq: answer })));
+      return;
+    }
+    const reason = await ask(rl, Locale.t("Enter reason (optional): "));
+
+    try {
+      const result = Operations.reverse(seq, reason);
+      console.log(Display.message(
+        Locale.t("Transaction {seq} reversed. New balance: {balance}",
+          { seq, balance: Display.amount(result.balance, result.currency) })
+      ));
+    } catch (err) {
+      if (!(err instanceof ReversalError) && !isRejection(err)) throw err;
+      console.log(Display.message(err.message));
+    }
+  },
+
+  /**
+   * TRANSFER operation - move an amount from the selected account to
+   * another. The source leg follows the same debit policy as DEBIT; both
+   * legs are posted together or not at all and each ledger entry points at
+   * the other through `linkedSeq`.
+   */
+  async transfer(rl) {
+    if (!this.requireAccount()) return;
+
+    const source = DataStorage.currentAccount;
+    const destination = await ask(rl, Locale.t("Enter destination account number: "));
+    try {
+      DataStorage.getAccount(destination);
+      if (destination === source) {
+        throw new AccountError(Locale.t("Cannot transfer to the same account."));
+      }
+    } catch (err) {
+      if (!(err instanceof AccountError)) throw err;
+      console.log(Display.message(err.message));
+      return;
+    }
+
+    const { currency } = Operations.balance(source);
+    const amount = await this.getAmount(rl, Locale.t("Enter transfer amount: "), { currency });
+    if (amount === null) return;
+
+    try {
+      const result = Operations.transfer(destination, amount);
+      console.log(Display.message(
+        Locale.t("Amount transferred to {destination}. New balance: {balance}",
+          { destination, balance: Display.amount(result.balance, currency) })
+      ));
+    } catch (err) {
+      if (!(err instanceof CurrencyError) && !(err instanceof InvalidAmountError) && !isRejection(err) &&
+        !(err instanceof PendingApprovalError) && !(err instanceof ApprovalError)) throw err;
+      console.log(Display.message(err.message));
+    }
+  },
+
+  /**
+   * OPEN ACCOUNT operation - create an account with its own opening balance
+   */
+  async openAccount(rl) {
+    const number = await ask(rl, Locale.t("Enter new account number: "));
+    // The opening balance may name the account's currency, e.g. "5000 JPY"
+    const opening = await this.getMoney(rl, Locale.t("Enter opening balance: "), DEFAULT_CURRENCY, { allowZero: true, convert: false });
+    if (opening === null) return;
+
+    try {
+      DataStorage.openAccount(number, opening.amount, opening.currency);
+      console.log(Display.message(
+        Locale.t("Account {number} opened. Opening balance: {balance}",
+          { number, balance: Display.amount(opening.amount, opening.currency) })
+      ));
+    } catch (err) {
+      if (!(err instanceof AccountError)) throw err;
+      console.log(Display.message(`${err.message}`));
+    }
+  },
+
+  /**
+   * SELECT ACCOUNT operation - choose the account later operations act on
+   */
+  async selectAccount(rl) {
+    const number = await ask(rl, Locale.t("Enter account number: "));
+
+    try {
+      DataStorage.selectAccount(number);
+      console.log(Display.message(Locale.t("Account {number} selected.", { number })));
+    } catch (err) {
+      if (!(err instanceof AccountError)) throw err;
+      console.log(Display.message(`${err.message}`));
+    }
+  },
+
+  /**
+   * LIST ACCOUNTS operation - show the open accounts logged in to in this
+   * session and their balances
+   */
+  async listAccounts(rl) {
+    const accounts = DataStorage.listAccounts().filter((account) => this.loggedIn.has(account.number));
+    if (accounts.length === 0) {
+      console.log(Display.message(Locale.t("No accounts open.")));
+      return;
+    }
+
+    console.log("");
+    for (const account of accounts) {
+      const marker = account.number === DataStorage.currentAccount ? '*' : ' ';
+      console.log(`${marker} ${account.number.padEnd(10)}  ${Display.amount(account.balance, Currency.of(account))}`);
+    }
+    console.log("");
+  },
+
+  /**
+   * CLOSE ACCOUNT operation - close an account whose balance is zero, once
+   * its PIN has been entered
+   */
+  async closeAccount(rl) {
+    const number = await ask(rl, Locale.t("Enter account number to close: "));
+
+    try {
+      if (!this.loggedIn.has(number) && !(await this.authenticate(rl, number))) return;
+      DataStorage.closeAccount(number);
+      console.log(Display.message(Locale.t("Account {number} closed.", { number })));
+    } catch (err) {
+      if (!(err instanceof AccountError)) throw err;
+      console.log(Display.message(`${err.message}`));
+    }
+  },
+
+  /**
+   * STATEMENT operation - page through the ledger of the selected account,
+   * optionally limited to a date range
+   */
+  async viewStatement(rl) {
+    if (!this.requireAccount()) return;
+
+    const from = await this.getDate(rl, Locale.t("Enter start date (YYYY-MM-DD, blank for all): "));
+    if (from === undefined) return;
+    const to = await this.getDate(rl, Locale.t("Enter end date (YYYY-MM-DD, blank for all): "));
+    if (to === undefined) return;
+
+    const entries = DataStorage.statement(DataStorage.currentAccount, { from, to });
+    if (entries.length === 0) {
+      console.log(Display.message(Locale.t("No transactions found.")));
+      return;
+    }
+
+    console.log(`\n${Locale.t("Statement for account {number}", { number: DataStorage.currentAccount })}`);
+    console.log(Locale.t(STATEMENT_HEADER));
+    for (let start = 0; start < entries.length; start += STATEMENT_PAGE_SIZE) {
+      for (const entry of entries.slice(start, start + STATEMENT_PAGE_SIZE)) {
+        console.log(formatStatementLine(entry));
+      }
+
+      const shown = Math.min(start + STATEMENT_PAGE_SIZE, entries.length);
+      if (shown < entries.length) {
+        const answer = await ask(rl,
+          Locale.t("-- {shown} of {total}: press Enter for more, Q to stop: ", { shown, total: entries.length }));
+        if (answer.toUpperCase() === 'Q') break;
+      }
+    }
+    console.log("");
+  },
+
+  /**
+   * Ask for the PIN of account `number` before the menu acts on it. An
+   * account without a PIN (new, or reset by an administrator) has one set
+   * now. Resolves true once the holder is authenticated, and adds the
+   * account to those logged in to.
+   */
+  async authenticate(rl, number) {
+    const account = DataStorage.getAccount(number);
+
+    if (account.pin === undefined) {
+      console.log(Display.message(Locale.t("Account {number} has no PIN yet. Please choose one.", { number })));
+      const pin = await askSecret(rl, Locale.t("Choose a {min}-{max} digit PIN: ", { min: Pin.MIN_LENGTH, max: Pin.MAX_LENGTH }));
+      const again = await askSecret(rl, Locale.t("Re-enter PIN: "));
+      if (pin !== again) {
+        console.log(Display.message(Locale.t("PINs do not match.")));
+        return false;
+      }
+      try {
+        DataStorage.setPin(number, pin);
+      } catch (err) {
+        if (!(err instanceof AccountError)) throw err;
+        console.log(Display.message(err.message));
+        return false;
+      }
+      this.loggedIn.add(number);
+      return true;
+    }
+
+    let locked = account.pin.locked;
+    while (!locked) {
+      const result = DataStorage.checkPin(number, await askSecret(rl, Locale.t("Enter PIN: ")));
+      if (result.ok) {
+        this.loggedIn.add(number);
+        return true;
+      }
+      locked = result.locked;
+      if (!locked) {
+        console.log(Display.message(Locale.t("Incorrect PIN. {attempts} attempt(s) left.", { attempts: result.attemptsLeft })));
+      }
+    }
+    console.log(Display.message(Locale.t("Account {number} is locked. Please contact an administrator.", { number })));
+    return false;
+  },
+
+  /**
+   * Report when no account is selected; returns true if one is
+   */
+  requireAccount() {
+    if (DataStorage.currentAccount === null) {
+      console.log(Display.message(Locale.t("No account selected. Please open or select an account.")));
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Helper function to get and validate amount input.
+   * Resolves with the amount in cents, or null if it was rejected.
+   */
+  async getAmount(rl, prompt, options) {
+    const answer = await ask(rl, prompt);
+    try {
+      return Operations.parseAmount(answer, options);
+    } catch (err) {
+      if (!(err instanceof InvalidAmountError)) throw err;
+      Audit.record({ account: DataStorage.currentAccount, input: answer, outcome: 'Invalid amount' });
+      console.log(err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Like getAmount, but the amount may be followed by a currency code, e.g.
+   * "50.00 EUR". Resolves with { amount, currency } or null if it was
+   * rejected, including when it cannot be converted into `currency`
+   * (unless `options.convert` is false).
+   */
+  async getMoney(rl, prompt, currency, options = {}) {
+    const answer = await ask(rl, prompt);
+    try {
+      const money = Operations.parseMoney(answer, currency, options);
+      if (options.convert !== false) {
+        Operations.convert(money.amount, money.currency, currency);
+      }
+      return money;
+    } catch (err) {
+      if (!(err instanceof InvalidAmountError) && !(err instanceof CurrencyError)) throw err;
+      Audit.record({ account: DataStorage.currentAccount, input: answer, outcome: err instanceof CurrencyError ? 'Invalid currency' : 'Invalid amount' });
+      console.log(err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Helper function to get an optional YYYY-MM-DD date.
+   * Resolves null for a blank answer and undefined for an invalid one.
+   */
+  async getDate(rl, prompt) {
+    const answer = await ask(rl, prompt);
+    if (answer === '') return null;
+    if (!isIsoDate(answer)) {
+      console.log(Locale.t("Invalid date. Please use YYYY-MM-DD."));
+      return undefined;
+    }
+    return answer;
+  }
+};
+
+/**
+ * One statement row: sequence, timestamp, type, amount, balance and outcome
+ */
+function formatStatementLine(entry) {
+  const currency = Currency.of(DataStorage.accounts[entry.account] || {});
+  return [
+    String(entry.seq).padStart(5),
+    entry.timestamp.slice(0, 19).replace('T', ' ').padEnd(20),
+    entry.type.padEnd(8),
+    Currency.format(entry.amount, currency).padStart(11),
+    Currency.format(entry.balance, currency).padStart(11),
+    ` ${entry.outcome}${entry.linkedSeq ? ` (linked #${entry.linkedSeq})` : ''}` +
+      `${entry.reverses ? ` (reverses #${entry.reverses})` : ''}` +
+      `${entry.holdId ? ` (hold #${entry.holdId})` : ''}` +
+      `${entry.foreignCurrency ? ` (${entry.foreignCurrency} ${Currency.format(entry.foreignAmount, entry.foreignCurrency)} @ ${entry.exchangeRate})` : ''}`
+  ].join(' ');
+}
+
+/**
+ * First line of a result message for a converted amount, e.g.
+ * "Converted €50.00 to $54.34 at 1.086957.\n"; empty when not converted
+ */
+function conversionNote(entry, currency) {
+  if (!entry.foreignCurrency) return '';
+  return `${Locale.t("Converted {foreign} to {amount} at {rate}.", {
+    foreign: Display.amount(entry.foreignAmount, entry.foreignCurrency),
+    amount: Display.amount(entry.amount, currency),
+    rate: entry.exchangeRate
+  })}\n`;
+}
+
+/**
+ * Prompt on the readline interface and resolve with the trimmed answer
+ */
+function ask(rl, prompt) {
+  return new Promise((resolve) => {
+    rl.question(Display.prompt(prompt), (answer) => {
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Like ask(), but the answer is not echoed while it is typed
+ */
+function askSecret(rl, prompt) {
+  const text = Display.prompt(prompt);
+  const write = rl._writeToOutput;
+  if (write) {
+    rl._writeToOutput = (output) => {
+      // A refresh redraws the prompt with the typed line: show the prompt only
+      if (output.includes(text)) write.call(rl, text);
+    };
+  }
+  return new Promise((resolve) => {
+    rl.question(text, (answer) => {
+      if (write) {
+        rl._writeToOutput = write;
+        rl.output.write('\n');
+      }
+      resolve(answer.trim());
+    });
+  });
+}
+
+// ============================================================================
+// HTTP API SERVER
+// ============================================================================
+
+/**
+ * JSON API over the same DataStorage/Operations rules as the menu:
+ *   GET  /accounts/:number/balance
+ *   POST /accounts/:number/credit   { "amount": "250.00" }
+ *   POST /accounts/:number/debit    { "amount": "40" }
+ *
+ * Amounts are validated by Operations.parseAmount and returned as decimal
+ * strings. An account with a PIN needs it in an X-Account-Pin header.
+ * Requests are handled one at a time, in arrival order, so concurrent
+ * clients never interleave a read-modify-write.
+ */
+function createServer() {
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return http.createServer((req, res) => {
+    readBody(req)
+      .then((body) => serialize(() => handleRequest(req.method, req.url, body, req.headers)))
+      .catch((err) => {
+        if (err instanceof HttpError) return { status: err.status, body: { error: err.message } };
+        return { status: 500, body: { error: 'Internal server error' } };
+      })
+      .then(({ status, body }) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body) + '\n');
+      });
+  });
+}
+
+/**
+ * An error that maps directly onto an HTTP status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Collect a request body and parse it as JSON (an empty body is {})
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      text += chunk;
+      if (text.length > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (text.trim() === '') return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Route one request. Returns { status, body } or throws HttpError.
+ */
+function handleRequest(method, url, body, headers = {}) {
+  const match = /^\/accounts\/([^/]+)\/(balance|credit|debit)\/?$/.exec(url.split('?')[0]);
+  if (!match) throw new HttpError(404, 'Not found');
+
+  const [, number, action] = match;
+  const expectedMethod = action === 'balance' ? 'GET' : 'POST';
+  if (method !== expectedMethod) throw new HttpError(405, `Use ${expectedMethod} for ${action}`);
+
+  // Other processes may share the data file
+  DataStorage.refresh();
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(number);
+  } catch (err) {
+    if (!(err instanceof URIError)) throw err;
+    throw new HttpError(400, 'Malformed account number');
+  }
+  let account;
+  try {
+    account = DataStorage.getAccount(decoded);
+  } catch (err) {
+    if (!(err instanceof AccountError)) throw err;
+    throw new HttpError(404, err.message);
+  }
+  try {
+    Operations.authenticate(account.number, headers['x-account-pin']);
+  } catch (err) {
+    if (!(err instanceof AuthenticationError)) throw err;
+    throw new HttpError(401, err.message);
+  }
+
+  const currency = Currency.of(account);
+  if (action === 'balance') {
+    return {
+      status: 200,
+      body: {
+        account: account.number,
+        currency,
+        balance: Currency.format(account.balance, currency),
+        available: Currency.format(Holds.available(account), currency)
+      }
+    };
+  }
+
+  // `currency` is optional and defaults to the account's own
+  let result;
+  try {
+    if (body === null || typeof body !== 'object' || body.amount === undefined) {
+      throw new InvalidAmountError('Invalid amount. Please enter a positive number.');
+    }
+    const from = body.currency === undefined ? currency : String(body.currency).toUpperCase();
+    const amount = Operations.parseAmount(String(body.amount), { currency: from, locale: DEFAULT_LOCALE });
+    result = action === 'credit'
+      ? Operations.postCredit(account.number, amount, from)
+      : Operations.postDebit(account.number, amount, from);
+  } catch (err) {
+    if (err instanceof ApprovalError) throw new HttpError(403, err.message);
+    if (!(err instanceof InvalidAmountError) && !(err instanceof CurrencyError)) throw err;
+    throw new HttpError(400, err.message);
+  }
+  if (result.outcome === 'Pending approval') {
+    return {
+      status: 202,
+      body: {
+        account: account.number,
+        type: 'DEBIT',
+        currency,
+        amount: Currency.format(result.approval.amount, currency),
+        balance: Currency.format(result.balance, currency),
+        status: 'pending',
+        approval: result.approval.id
+      }
+    };
+  }
+  if (result.outcome !== 'Posted') {
+    throw new HttpError(422, result.message);
+  }
+
+  return {
+    status: 200,
+    body: {
+      account: account.number,
+      type: result.entry.type,
+      currency,
+      amount: Currency.format(result.entry.amount, currency),
+      balance: Currency.format(result.balance, currency),
+      seq: result.entry.seq
+    }
+  };
+}
+
+/**
+ * `serve` command - run the HTTP API until the process is stopped
+ */
+function serve(options) {
+  const server = createServer();
+  server.listen(options.port, options.host, () => {
+    const { address, port } = server.address();
+    console.log(`Account API listening on http://${address}:${port}`);
+  });
+  return server;
+}
+
+// ============================================================================
+// BATCH TRANSACTION FILES
+// ============================================================================
+
+/**
+ * Applies a file of transactions through the same rules as Operations.
+ *
+ * CSV records:   TYPE,AMOUNT[,ACCOUNT]   e.g. CREDIT,250.00,000001
+ *                (an optional header line starting with "type" is skipped)
+ *
+ * Fixed-width records, as a COBOL program would write them:
+ *   cols  1-6   TRANS-TYPE   PIC X(6)     'CREDIT' or 'DEBIT '
+ *   cols  7-14  TRANS-AMOUNT PIC 9(6)V99  implied decimal, e.g. 00025000
+ *   cols 15-24  ACCOUNT      PIC X(10)    optional, blank = default account
+ */
+const Batch = {
+  /**
+   * Split file contents into records of { line, raw, type, amount, account }.
+   * `amount` is left as text for Operations.parseAmount to validate.
+   */
+  parseRecords(text, format) {
+    const records = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+      if (raw.trim() === '') return;
+      const line = index + 1;
+
+      if (format === 'csv') {
+        const fields = raw.split(',').map((field) => field.trim());
+        if (line === 1 && /^type$/i.test(fields[0])) return;
+        records.push({ line, raw, type: fields[0], amount: fields[1], account: fields[2], fieldCount: fields.length });
+      } else {
+        const digits = raw.slice(6, 14);
+        records.push({
+          line,
+          raw,
+          type: raw.slice(0, 6).trim(),
+          // Re-insert the implied decimal point of PIC 9(6)V99
+          amount: /^\d{8}$/.test(digits) ? `${digits.slice(0, 6)}.${digits.slice(6)}` : digits,
+          account: raw.slice(14, 24).trim(),
+          fieldCount: raw.length >= 14 ? 3 : 0
+        });
+      }
+    });
+    return records;
+  },
+
+  /**
+   * Apply every record in one storage transaction and return
+   * { summary, rejects } where each reject is { line, raw, reason }.
+   * Credit and debit totals are kept by currency, e.g. { USD: 25000 }.
+   * Nobody types a PIN for a file, so records for an account with a PIN
+   * are only applied when `admin` (the administrator password was given);
+   * a locked account is refused either way.
+   */
+  run(text, format, defaultAccount, { admin = false } = {}) {
+    const records = this.parseRecords(text, format);
+    const summary = { records: records.length, posted: 0, queued: 0, rejected: 0, credits: {}, debits: {}, accounts: {} };
+    const rejects = [];
+
+    DataStorage.transaction(() => {
+      for (const record of records) {
+        const reason = this.apply(record, defaultAccount, summary, admin);
+        if (reason === 'Pending approval') {
+          summary.queued++;
+        } else if (reason) {
+          summary.rejected++;
+          rejects.push({ line: record.line, raw: record.raw, reason });
+        } else {
+          summary.posted++;
+        }
+      }
+    });
+
+    for (const number of Object.keys(summary.accounts)) {
+      summary.accounts[number].closing = DataStorage.accounts[number].balance;
+    }
+    return { summary, rejects };
+  },
+
+  /**
+   * Apply one record. Returns the reject reason, 'Pending approval' for a
+   * debit queued for approval, or null once posted.
+   */
+  apply(record, defaultAccount, summary, admin = false) {
+    const type = (record.type || '').toUpperCase();
+    if ((type !== 'CREDIT' && type !== 'DEBIT') || record.fieldCount < 2 || record.fieldCount > 3) {
+      return 'Invalid record';
+    }
+
+    let account;
+    try {
+      account = DataStorage.getAccount(record.account || defaultAccount);
+    } catch (err) {
+      if (!(err instanceof AccountError)) throw err;
+      return 'Unknown account';
+    }
+    if (account.pin !== undefined && account.pin.locked) return 'Account locked';
+    if (account.pin !== undefined && !admin) return 'PIN required';
+
+    let amount;
+    try {
+      amount = Operations.parseAmount(record.amount === undefined ? '' : record.amount,
+        { currency: Currency.of(account), locale: DEFAULT_LOCALE });
+    } catch (err) {
+      if (!(err instanceof InvalidAmountError)) throw err;
+      return 'Invalid amount';
+    }
+
+    if (!summary.accounts[account.number]) {
+      summary.accounts[account.number] = { currency: Currency.of(account), opening: account.balance, closing: account.balance };
+    }
+
+    let result;
+    try {
+      result = type === 'CREDIT'
+        ? Operations.postCredit(account.number, amount)
+        : Operations.postDebit(account.number, amount);
+    } catch (err) {
+      if (!(err instanceof ApprovalError)) throw err;
+      return 'No known user';
+    }
+    if (result.outcome !== 'Posted') return result.outcome;
+
+    const totals = type === 'CREDIT' ? summary.credits : summary.debits;
+    const currency = Currency.of(account);
+    totals[currency] = (totals[currency] || 0) + amount;
+    return null;
+  },
+
+  /**
+   * Reject file contents: one CSV row per failed record with its reason
+   */
+  formatRejects(rejects) {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const rows = rejects.map((reject) => [reject.line, quote(reject.raw), quote(reject.reason)].join(','));
+    return ['line,record,reason', ...rows].join('\n') + '\n';
+  },
+
+  /**
+   * Totals by currency as one text, each written by
+   * `formatAmount(total, currency)`; the codes are added when the batch
+   * touched accounts in more than one currency
+   */
+  formatTotals(totals, formatAmount) {
+    const entries = Object.entries(totals);
+    if (entries.length === 0) return formatAmount(0, DEFAULT_CURRENCY);
+    if (entries.length === 1) return formatAmount(entries[0][1], entries[0][0]);
+    return entries.map(([currency, total]) => `${formatAmount(total, currency)} ${currency}`).join(', ');
+  },
+
+  /**
+   * Human-readable run summary
+   */
+  formatSummary(file, summary, rejectFile) {
+    const lines = [
+      `Batch summary for ${file}`,
+      `Records read:   ${summary.records}`,
+      `Posted:         ${summary.posted}`,
+      `Queued:         ${summary.queued}`,
+      `Rejected:       ${summary.rejected}`,
+      `Total credits:  ${this.formatTotals(summary.credits, (total, currency) => Display.amount(total, currency))}`,
+      `Total debits:   ${this.formatTotals(summary.debits, (total, currency) => Display.amount(total, currency))}`
+    ];
+    for (const [number, { currency, opening, closing }] of Object.entries(summary.accounts)) {
+      lines.push(`Account ${number}: opening ${Display.amount(opening, currency)}, closing ${Display.amount(closing, currency)}`);
+    }
+    if (rejectFile) lines.push(`Rejected records written to ${rejectFile}`);
+    return lines.join('\n');
+  }
+};
+
+// ============================================================================
+// END-OF-DAY PROCESSING
+// ============================================================================
+
+// Interest and fee terms of an account; amounts in cents. Everything is off
+// unless the account's `terms` field says otherwise.
+const DEFAULT_ACCOUNT_TERMS = {
+  // Annual interest on positive balances, in basis points (250 = 2.50%)
+  interestRate: 0,
+  // Charged for each business day that ends with a negative balance
+  overdraftFee: 0,
+  // Charged for each business day that ends below the threshold but not
+  // negative; the fee never takes the balance below zero
+  lowBalanceThreshold: 0,
+  lowBalanceFee: 0
+};
+
+// Interest is accrued daily in ten-thousandths of a cent and posted in
+// whole cents at month end; the remainder carries over
+const ACCRUAL_UNITS_PER_CENT = 10000;
+
+const STANDING_ORDER_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Per-account interest and fee terms, overriding DEFAULT_ACCOUNT_TERMS
+ */
+const AccountTerms = {
+  of(account) {
+    return { ...DEFAULT_ACCOUNT_TERMS, ...(account.terms || {}) };
+  },
+
+  isValid(terms) {
+    if (terms === null || typeof terms !== 'object') return false;
+    return Object.entries(terms).every(([key, value]) =>
+      Object.prototype.hasOwnProperty.call(DEFAULT_ACCOUNT_TERMS, key) &&
+      Number.isInteger(value) && value >= 0 && value <= Money.MAX
+    );
+  }
+};
+
+/**
+ * The end-of-day cycle for one business date, in this order:
+ *   1. standing orders that are due
+ *   2. overdraft and low-balance fees on the resulting balances
+ *   3. interest accrual on positive balances, posted at month end
+ * The whole cycle is one storage transaction that also records the date,
+ * so a date is processed exactly once even if the run is repeated. A date
+ * after today is refused: once processed, every earlier date would be.
+ */
+const EndOfDay = {
+  run(date = Clock.today()) {
+    if (!isIsoDate(date)) {
+      throw new EndOfDayError('Business date must be YYYY-MM-DD.');
+    }
+    if (date > Clock.today()) {
+      throw new EndOfDayError(`Business date ${date} is in the future.`);
+    }
+
+    return DataStorage.transaction(() => {
+      const last = DataStorage.lastBusinessDate;
+      if (last !== null && date < last) {
+        throw new EndOfDayError(`Business date ${date} is before the last processed date ${last}.`);
+      }
+
+      const summary = {
+        date,
+        alreadyRun: date === last,
+        standingOrders: { executed: 0, queued: 0, failed: 0 },
+        fees: { count: 0, total: 0 },
+        interest: { posted: 0, total: 0 }
+      };
+      if (summary.alreadyRun) return summary;
+
+      DataStorage.expireHolds();
+      this.runStandingOrders(date, summary);
+      for (const account of DataStorage.listAccounts()) {
+        this.chargeFees(account, date, summary);
+        this.accrueInterest(account, date, summary);
+      }
+      DataStorage.lastBusinessDate = date;
+      return summary;
+    });
+  },
+
+  runStandingOrders(date, summary) {
+    for (const order of DataStorage.standingOrders) {
+      if (order.status !== 'active' || order.nextDate > date) continue;
+      DataStorage.touch(order);
+
+      let result;
+      try {
+        result = Operations.postTransfer(order.from, order.to, order.amount,
+          { standingOrder: order.id, businessDate: date });
+      } catch (err) {
+        if (err instanceof CurrencyError) {
+          result = { outcome: 'No exchange rate' };
+        } else if (err instanceof ApprovalError) {
+          result = { outcome: 'No known user' };
+        } else if (err instanceof AccountError) {
+          order.status = 'cancelled';
+          result = { outcome: 'Account closed' };
+        } else {
+          throw err;
+        }
+      }
+      if (result.outcome === 'Posted') summary.standingOrders.executed++;
+      else if (result.outcome === 'Pending approval') summary.standingOrders.queued++;
+      else summary.standingOrders.failed++;
+
+      while (order.nextDate <= date) {
+        order.nextDate = order.frequency === 'daily' ? addDays(order.nextDate, 1)
+          : order.frequency === 'weekly' ? addDays(order.nextDate, 7)
+            : addMonths(order.nextDate, 1);
+      }
+    }
+  },
+
+  chargeFees(account, date, summary) {
+    const terms = AccountTerms.of(account);
+    let fee = 0;
+    let reason;
+    if (account.balance < 0) {
+      fee = terms.overdraftFee;
+      reason = 'Overdraft fee';
+    } else if (account.balance < terms.lowBalanceThreshold) {
+      fee = Math.min(terms.lowBalanceFee, account.balance);
+      reason = 'Low balance fee';
+    }
+    if (fee === 0) return;
+
+    const entry = { type: 'FEE', amount: fee, reason, businessDate: date };
+    try {
+      DataStorage.post(account.number, Money.subtract(account.balance, fee), { ...entry, outcome: 'Posted' });
+    } catch (err) {
+      if (!(err instanceof BalanceOverflowError)) throw err;
+      DataStorage.record({ ...entry, account: account.number, outcome: 'Balance overflow' });
+      return;
+    }
+    summary.fees.count++;
+    summary.fees.total += fee;
+  },
+
+  accrueInterest(account, date, summary) {
+    DataStorage.touch(account);
+    const terms = AccountTerms.of(account);
+    if (account.balance > 0 && terms.interestRate > 0) {
+      // cents * (basis points / 10000) / 365 days, in 1/10000 cent units
+      account.accruedInterest = (account.accruedInterest || 0) +
+        Math.floor(account.balance * terms.interestRate / 365);
+    }
+
+    const isMonthEnd = addDays(date, 1).slice(8) === '01';
+    const interest = Math.floor((account.accruedInterest || 0) / ACCRUAL_UNITS_PER_CENT);
+    if (!isMonthEnd || interest === 0) return;
+
+    let newBalance;
+    try {
+      newBalance = Money.add(account.balance, interest, Currency.minorUnits(Currency.of(account)));
+    } catch (err) {
+      if (!(err instanceof BalanceOverflowError)) throw err;
+      DataStorage.record({ account: account.number, type: 'INTEREST', amount: interest, outcome: 'Balance overflow', businessDate: date });
+      return;
+    }
+    account.accruedInterest -= interest * ACCRUAL_UNITS_PER_CENT;
+    DataStorage.post(account.number, newBalance,
+      { type: 'INTEREST', amount: interest, outcome: 'Posted', businessDate: date });
+    summary.interest.posted++;
+    summary.interest.total += interest;
+  },
+
+  formatSummary(summary) {
+    if (summary.alreadyRun) {
+      return `End-of-day processing for ${summary.date} has already run; nothing was posted.`;
+    }
+    return [
+      `End-of-day processing for ${summary.date}`,
+      `Standing orders:  ${summary.standingOrders.executed} executed, ${summary.standingOrders.queued} awaiting approval, ` +
+        `${summary.standingOrders.failed} failed`,
+      `Fees charged:     ${summary.fees.count} (${Display.amount(summary.fees.total)})`,
+      `Interest posted:  ${summary.interest.posted} (${Display.amount(summary.interest.total)})`
+    ].join('\n');
+  }
+};
+
+// ============================================================================
+// STATEMENT EXPORT
+// ============================================================================
+
+// Ledger entry types that are charged to an account besides debits; a
+// REVERSAL goes the opposite way to the entry it reverses
+const CHARGE_TYPES = [...DEBIT_TYPES, 'FEE'];
+
+// OFX transaction type for each ledger entry type; a REVERSAL is a CREDIT
+// or DEBIT depending on its sign
+const OFX_TRANSACTION_TYPES = {
+  'CREDIT': 'CREDIT',
+  'DEBIT': 'DEBIT',
+  'XFER-IN': 'XFER',
+  'XFER-OUT': 'XFER',
+  'INTEREST': 'INT',
+  'FEE': 'FEE'
+};
+
+/**
+ * Account activity for a date range with opening and closing balances, for
+ * spreadsheets (CSV), other programs (JSON) and personal-finance tools
+ * (OFX). Only posted entries are exported; the running balance of each is
+ * the balance the ledger recorded, so the last one is what viewBalance
+ * showed at that point.
+ */
+const Statement = {
+  FORMATS: ['csv', 'json', 'ofx'],
+
+  /**
+   * Statement of account `number` from `from` to `to` (inclusive
+   * YYYY-MM-DD dates, null for open-ended) as { account, currency, from,
+   * to, openingBalance, closingBalance, entries }, amounts in minor units
+   */
+  of(number, { from = null, to = null } = {}) {
+    const account = DataStorage.getAccount(number);
+    const all = DataStorage.statement(number);
+    const before = from === null ? [] : all.filter((entry) => entry.timestamp.slice(0, 10) < from);
+    const during = DataStorage.statement(number, { from, to });
+
+    const openingBalance = before.length > 0 ? before[before.length - 1].balance : account.openingBalance;
+    const closingBalance = during.length > 0 ? during[during.length - 1].balance : openingBalance;
+    return {
+      account: number,
+      currency: Currency.of(account),
+      from,
+      to,
+      openingBalance,
+      closingBalance,
+      entries: during.filter((entry) => entry.outcome === 'Posted')
+    };
+  },
+
+  /**
+   * The amount of a posted entry with the sign of its effect on the balance
+   */
+  signedAmount(entry) {
+    let charge = CHARGE_TYPES.includes(entry.type);
+    if (entry.type === 'REVERSAL') {
+      const original = DataStorage.ledger.find((candidate) => candidate.seq === entry.reverses);
+      charge = original !== undefined && original.type === 'CREDIT';
+    }
+    return charge ? -entry.amount : entry.amount;
+  },
+
+  /**
+   * One-line description of an entry: counterparty, reversal, reason and
+   * currency conversion
+   */
+  describe(entry) {
+    const parts = [];
+    if (entry.type === 'XFER-OUT') parts.push(`Transfer to ${entry.counterparty}`);
+    if (entry.type === 'XFER-IN') parts.push(`Transfer from ${entry.counterparty}`);
+    if (entry.reverses) parts.push(`Reversal of #${entry.reverses}`);
+    if (entry.holdId) parts.push(`Capture of hold #${entry.holdId}`);
+    if (entry.reason) parts.push(entry.reason);
+    if (entry.foreignCurrency) {
+      parts.push(`${entry.foreignCurrency} ${Currency.format(entry.foreignAmount, entry.foreignCurrency)} @ ${entry.exchangeRate}`);
+    }
+    return parts.join('; ');
+  },
+
+  /**
+   * The statement as text in `format` (one of FORMATS)
+   */
+  format(statement, format) {
+    return { csv: formatCsv, json: formatJson, ofx: formatOfx }[format](statement);
+  }
+};
+
+/**
+ * Date,Seq,Type,Description,Amount,Balance rows between an opening and a
+ * closing balance row
+ */
+function formatCsv(statement) {
+  const { currency } = statement;
+  const quote = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = statement.entries.map((entry) => [
+    entry.timestamp.slice(0, 10),
+    entry.seq,
+    entry.type,
+    quote(Statement.describe(entry)),
+    Currency.format(Statement.signedAmount(entry), currency),
+    Currency.format(entry.balance, currency)
+  ].join(','));
+  return [
+    'Date,Seq,Type,Description,Amount,Balance',
+    `${statement.from || ''},,OPENING,,,${Currency.format(statement.openingBalance, currency)}`,
+    ...rows,
+    `${statement.to || Clock.today()},,CLOSING,,,${Currency.format(statement.closingBalance, currency)}`
+  ].join('\n') + '\n';
+}
+
+function formatJson(statement) {
+  const { currency } = statement;
+  return JSON.stringify({
+    account: statement.account,
+    currency,
+    from: statement.from,
+    to: statement.to,
+    openingBalance: Currency.format(statement.openingBalance, currency),
+    closingBalance: Currency.format(statement.closingBalance, currency),
+    transactions: statement.entries.map((entry) => ({
+      seq: entry.seq,
+      timestamp: entry.timestamp,
+      type: entry.type,
+      description: Statement.describe(entry),
+      amount: Currency.format(Statement.signedAmount(entry), currency),
+      balance: Currency.format(entry.balance, currency)
+    }))
+  }, null, 2) + '\n';
+}
+
+/**
+ * OFX 2.2 bank statement. OFX has no opening balance element, so it is
+ * given in BALLIST next to the closing LEDGERBAL.
+ */
+function formatOfx(statement) {
+  const { currency } = statement;
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const dateTime = (timestamp) => timestamp.slice(0, 19).replace(/[-T:]/g, '');
+  const date = (day) => day.replace(/-/g, '');
+  const first = statement.entries[0];
+  const start = statement.from || (first ? first.timestamp.slice(0, 10) : Clock.today());
+  const end = statement.to || Clock.today();
+
+  const transactions = statement.entries.map((entry) => {
+    const description = Statement.describe(entry);
+    return [
+      '<STMTTRN>',
+      `<TRNTYPE>${OFX_TRANSACTION_TYPES[entry.type] || (Statement.signedAmount(entry) < 0 ? 'DEBIT' : 'CREDIT')}</TRNTYPE>`,
+      `<DTPOSTED>${dateTime(entry.timestamp)}</DTPOSTED>`,
+      `<TRNAMT>${Currency.format(Statement.signedAmount(entry), currency)}</TRNAMT>`,
+      `<FITID>${entry.seq}</FITID>`,
+      `<NAME>${entry.type}</NAME>`,
+      ...(description ? [`<MEMO>${escape(description)}</MEMO>`] : []),
+      '</STMTTRN>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${dateTime(Clock.now().toISOString())}</DTSERVER><LANGUAGE>ENG</LANGUAGE>`,
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency}</CURDEF>`,
+    `<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>${statement.account}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    `<BANKTRANLIST><DTSTART>${date(start)}</DTSTART><DTEND>${date(end)}</DTEND>`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${Currency.format(statement.closingBalance, currency)}</BALAMT><DTASOF>${date(end)}</DTASOF></LEDGERBAL>`,
+    '<BALLIST><BAL><NAME>Opening balance</NAME><DESC>Balance at the start of the statement</DESC>' +
+      `<BALTYPE>DOLLAR</BALTYPE><VALUE>${Currency.format(statement.openingBalance, currency)}</VALUE>` +
+      `<DTASOF>${date(start)}</DTASOF></BAL></BALLIST>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>'
+  ].join('\n') + '\n';
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Proves the stored balances only changed through the ledger: every
+ * account's posted entries are replayed from its opening balance and the
+ * result is compared with the balance in DataStorage.
+ */
+const Reconcile = {
+  /**
+   * Replay the ledger of every account. Returns { accounts, entries,
+   * mismatches } where each mismatch is { account, replayed, stored,
+   * difference, entries } and `entries` lists the transactions whose
+   * recorded balance does not follow from the one before: the place where
+   * an amount or balance was changed. Amounts in minor units.
+   */
+  run() {
+    const result = { accounts: 0, entries: 0, mismatches: [] };
+    const numbers = Object.keys(DataStorage.accounts).sort();
+
+    for (const number of numbers) {
+      const account = DataStorage.accounts[number];
+      let replayed = account.openingBalance;
+      let recorded = account.openingBalance;
+      const breaks = [];
+
+      for (const entry of DataStorage.ledger) {
+        if (entry.account !== number || entry.outcome !== 'Posted') continue;
+        const amount = Statement.signedAmount(entry);
+        replayed += amount;
+        if (entry.balance !== recorded + amount) breaks.push(entry);
+        recorded = entry.balance;
+        result.entries++;
+      }
+
+      result.accounts++;
+      if (breaks.length > 0 || replayed !== account.balance) {
+        result.mismatches.push({
+          account: number,
+          replayed,
+          stored: account.balance,
+          difference: account.balance - replayed,
+          lastRecorded: recorded,
+          entries: breaks
+        });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Report lines for a run: one per mismatching account and one per
+   * transaction involved
+   */
+  format(result) {
+    const lines = [`Reconciled ${result.entries} transaction(s) across ${result.accounts} account(s).`];
+    if (result.mismatches.length === 0) {
+      lines.push('All balances match the ledger.');
+      return lines.join('\n');
+    }
+
+    for (const mismatch of result.mismatches) {
+      const currency = Currency.of(DataStorage.accounts[mismatch.account]);
+      lines.push(`Account ${mismatch.account}: stored ${Display.amount(mismatch.stored, currency)}, ` +
+        `ledger gives ${Display.amount(mismatch.replayed, currency)} ` +
+        `(difference ${Display.amount(mismatch.difference, currency)})`);
+      for (const entry of mismatch.entries) {
+        lines.push(`  ${formatStatementLine(entry)}  <- balance does not follow from the previous transaction`);
+      }
+      if (mismatch.stored !== mismatch.lastRecorded) {
+        lines.push(`  Stored balance differs from the last recorded balance ${Display.amount(mismatch.lastRecorded, currency)}: ` +
+          'changed outside the ledger');
+      }
+    }
+    return lines.join('\n');
+  }
+};
+
+// ============================================================================
+// NON-INTERACTIVE COMMANDS
+// ============================================================================
+
+// Process exit codes for the one-shot commands, so scripts can tell
+// outcomes apart without parsing the output
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  INVALID_AMOUNT: 3,
+  INSUFFICIENT_FUNDS: 4,
+  BALANCE_OVERFLOW: 5,
+  UNKNOWN_ACCOUNT: 6,
+  REJECTED_RECORDS: 7,
+  NOT_REVERSIBLE: 8,
+  DEBIT_LIMIT_EXCEEDED: 9,
+  INVALID_BUSINESS_DATE: 10,
+  UNKNOWN_CURRENCY: 11,
+  TRANSCRIPT_MISMATCH: 12,
+  RECONCILIATION_MISMATCH: 13,
+  INVALID_HOLD: 14,
+  AUDIT_CHAIN_BROKEN: 15,
+  PENDING_APPROVAL: 16,
+  APPROVAL_DENIED: 17,
+  NOT_AUTHORIZED: 18
+};
+
+// Exit code for each rejected outcome returned by Operations
+const OUTCOME_EXIT_CODES = {
+  'Insufficient funds': EXIT_CODES.INSUFFICIENT_FUNDS,
+  'Balance overflow': EXIT_CODES.BALANCE_OVERFLOW,
+  'Overdraft limit exceeded': EXIT_CODES.DEBIT_LIMIT_EXCEEDED,
+  'Debit limit exceeded': EXIT_CODES.DEBIT_LIMIT_EXCEEDED,
+  'Daily limit exceeded': EXIT_CODES.DEBIT_LIMIT_EXCEEDED
+};
+
+// Exit codes whose text is a report for stdout rather than an error message
+const REPORT_EXIT_CODES = [
+  EXIT_CODES.OK,
+  EXIT_CODES.REJECTED_RECORDS,
+  EXIT_CODES.RECONCILIATION_MISMATCH,
+  EXIT_CODES.AUDIT_CHAIN_BROKEN,
+  EXIT_CODES.PENDING_APPROVAL
+];
+
+// `policy` command settings and the DebitPolicy field each one sets
+const POLICY_SETTINGS = {
+  'overdraft': 'overdraftLimit',
+  'max-debit': 'maxDebit',
+  'daily-limit': 'dailyDebitLimit',
+  'approval': 'approvalThreshold'
+};
+
+// `terms` command settings and the AccountTerms field each one sets.
+// The interest rate is a percentage with two decimals, i.e. basis points.
+const TERMS_SETTINGS = {
+  'interest-rate': 'interestRate',
+  'overdraft-fee': 'overdraftFee',
+  'low-balance': 'lowBalanceThreshold',
+  'low-balance-fee': 'lowBalanceFee'
+};
+
+/**
+ * One-shot commands, e.g. `account-system credit 250.00 --account 000002`.
+ * Each returns { exitCode, result } where `result` is what `--json` prints.
+ */
+const Commands = {
+  balance(options) {
+    Operations.authenticate(options.account || DataStorage.currentAccount, options.pin);
+    const { account, currency, balance, available } = Operations.balance(options.account || DataStorage.currentAccount);
+    const lines = [Locale.t("Current balance: {balance}", { balance: Display.amount(balance, currency) })];
+    // Scripts read the first line; the second only appears while funds are held
+    if (available !== balance) {
+      lines.push(Locale.t("Available balance: {balance}", { balance: Display.amount(available, currency) }));
+    }
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        account,
+        currency,
+        balance: Currency.format(balance, currency),
+        available: Currency.format(available, currency)
+      },
+      text: lines.join('\n')
+    };
+  },
+
+  credit(options) {
+    return postCommand(options, 'credit');
+  },
+
+  debit(options) {
+    return postCommand(options, 'debit');
+  },
+
+  /**
+   * `policy [overdraft=<amount>] [max-debit=<amount|none>]
+   *  [daily-limit=<amount|none>] [approval=<amount|none>]` - show or change
+   * an account's debit policy. Changes need the administrator password:
+   * the holder must not lift their own limits or approval step.
+   */
+  policy(options) {
+    const account = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+    Operations.authenticate(account.number, options.pin);
+    const changes = {};
+    for (const arg of options.args) {
+      const [name, value] = arg.split('=');
+      if (!POLICY_SETTINGS[name] || value === undefined) {
+        return commandError(EXIT_CODES.USAGE,
+          'Usage: account-system policy [overdraft=<amount>] [max-debit=<amount|none>] [daily-limit=<amount|none>] ' +
+          '[approval=<amount|none>]');
+      }
+      try {
+        changes[POLICY_SETTINGS[name]] = value === 'none' && name !== 'overdraft'
+          ? null
+          : Operations.parseAmount(value, { allowZero: true, currency: Currency.of(account), locale: options.inputLocale });
+      } catch (err) {
+        if (!(err instanceof InvalidAmountError)) throw err;
+        return commandError(EXIT_CODES.INVALID_AMOUNT, err.message);
+      }
+    }
+
+    if (Object.keys(changes).length > 0) Admin.authorize(options.adminPassword);
+    const policy = Object.keys(changes).length > 0
+      ? DataStorage.setPolicy(account.number, changes)
+      : DebitPolicy.of(account);
+    const limit = (value) => (value === null ? 'none' : Currency.format(value, Currency.of(account)));
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        account: account.number,
+        overdraftLimit: limit(policy.overdraftLimit),
+        maxDebit: limit(policy.maxDebit),
+        dailyDebitLimit: limit(policy.dailyDebitLimit),
+        approvalThreshold: limit(policy.approvalThreshold)
+      },
+      text: [
+        `Debit policy for account ${account.number}`,
+        `Overdraft limit:    ${limit(policy.overdraftLimit)}`,
+        `Maximum debit:      ${limit(policy.maxDebit)}`,
+        `Daily debit limit:  ${limit(policy.dailyDebitLimit)}`,
+        `Approval above:     ${limit(policy.approvalThreshold)}`
+      ].join('\n')
+    };
+  },
+
+  /**
+   * `terms [interest-rate=<percent>] [overdraft-fee=<amount>]
+   *  [low-balance=<amount>] [low-balance-fee=<amount>]` - show or change
+   * the interest and fee terms used by the end-of-day cycle
+   */
+  terms(options) {
+    const account = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+    Operations.authenticate(account.number, options.pin);
+    const currency = Currency.of(account);
+    const changes = {};
+    for (const arg of options.args) {
+      const [name, value] = arg.split('=');
+      if (!TERMS_SETTINGS[name] || value === undefined) {
+        return commandError(EXIT_CODES.USAGE,
+          'Usage: account-system terms [interest-rate=<percent>] [overdraft-fee=<amount>] ' +
+          '[low-balance=<amount>] [low-balance-fee=<amount>]');
+      }
+      try {
+        // Fees are in the account's currency; the rate always has two decimals
+        changes[TERMS_SETTINGS[name]] = Operations.parseAmount(value,
+          { allowZero: true, currency: name === 'interest-rate' ? DEFAULT_CURRENCY : currency, locale: options.inputLocale });
+      } catch (err) {
+        if (!(err instanceof InvalidAmountError)) throw err;
+        return commandError(EXIT_CODES.INVALID_AMOUNT, err.message);
+      }
+    }
+
+    const terms = Object.keys(changes).length > 0
+      ? DataStorage.setTerms(account.number, changes)
+      : AccountTerms.of(account);
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        account: account.number,
+        interestRate: Money.format(terms.interestRate),
+        overdraftFee: Currency.format(terms.overdraftFee, currency),
+        lowBalanceThreshold: Currency.format(terms.lowBalanceThreshold, currency),
+        lowBalanceFee: Currency.format(terms.lowBalanceFee, currency)
+      },
+      text: [
+        `Account terms for account ${account.number}`,
+        `Interest rate:      ${Money.format(terms.interestRate)}%`,
+        `Overdraft fee:      ${Display.amount(terms.overdraftFee, currency)}`,
+        `Low balance below:  ${Display.amount(terms.lowBalanceThreshold, currency)}`,
+        `Low balance fee:    ${Display.amount(terms.lowBalanceFee, currency)}`
+      ].join('\n')
+    };
+  },
+
+  /**
+   * `standing-order add <to> <amount> <daily|weekly|monthly> [start-date]`,
+   * `standing-order list` and `standing-order cancel <id>`
+   */
+  'standing-order'(options) {
+    const [action, ...args] = options.args;
+    const usage = 'Usage: account-system standing-order add <to> <amount> <daily|weekly|monthly> [start-date] | ' +
+      'list | cancel <id>';
+
+    try {
+      if (action === 'add' && (args.length === 3 || args.length === 4)) {
+        const [to, amountText, frequency, startDate = Clock.today()] = args;
+        const from = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+        Operations.authenticate(from.number, options.pin);
+        const currency = Currency.of(from);
+        const order = DataStorage.addStandingOrder({
+          from: from.number,
+          to,
+          amount: Operations.parseAmount(amountText, { currency, locale: options.inputLocale }),
+          frequency,
+          startDate
+        });
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: { ok: true, ...order, amount: Currency.format(order.amount, currency) },
+          text: `Standing order ${order.id} created: ${Display.amount(order.amount, currency)} ${order.frequency} ` +
+            `from ${order.from} to ${order.to}, first run ${order.nextDate}`
+        };
+      }
+
+      if (action === 'cancel' && args.length === 1 && /^\d+$/.test(args[0])) {
+        const order = DataStorage.standingOrders.find((candidate) => candidate.id === Number(args[0]));
+        if (order && DataStorage.accounts[order.from]) Operations.authenticate(order.from, options.pin);
+        DataStorage.cancelStandingOrder(Number(args[0]));
+        return { exitCode: EXIT_CODES.OK, result: { ok: true, id: Number(args[0]) }, text: `Standing order ${args[0]} cancelled.` };
+      }
+
+      if (action === 'list' && args.length === 0) {
+        const orders = DataStorage.standingOrders.filter((order) => order.status === 'active');
+        // Orders are in the currency of the account they debit
+        const currencyOf = (order) => Currency.of(DataStorage.accounts[order.from] || {});
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: { ok: true, standingOrders: orders.map((order) => ({ ...order, amount: Currency.format(order.amount, currencyOf(order)) })) },
+          text: orders.length === 0
+            ? 'No standing orders.'
+            : orders.map((order) => `${String(order.id).padStart(4)}  ${order.from} -> ${order.to}  ` +
+              `${Display.amount(order.amount, currencyOf(order))}  ${order.frequency}, next ${order.nextDate}`).join('\n')
+        };
+      }
+    } catch (err) {
+      if (err instanceof InvalidAmountError) return commandError(EXIT_CODES.INVALID_AMOUNT, err.message);
+      if (err instanceof EndOfDayError) return commandError(EXIT_CODES.USAGE, err.message);
+      throw err;
+    }
+
+    return commandError(EXIT_CODES.USAGE, usage);
+  },
 
   /**
-   * READ operation - retrieves current balance
-   * Equivalent to: IF OPERATION-TYPE = 'READ' MOVE STORAGE-BALANCE TO BALANCE
+   * `hold place <amount>`, `hold capture <id> [amount]`,
+   * `hold release <id>` and `hold list`
    */
-  read() {
-    return this.balance;
+  hold(options) {
+    const [action, ...args] = options.args;
+    const usage = 'Usage: account-system hold place <amount> | capture <id> [amount] | release <id> | list';
+    const isId = (text) => /^\d+$/.test(text);
+    const describe = (result) => ({
+      ok: true,
+      account: result.account,
+      currency: result.currency,
+      balance: Currency.format(result.balance, result.currency),
+      available: Currency.format(result.available, result.currency),
+      hold: { ...result.hold, amount: Currency.format(result.hold.amount, result.currency) }
+    });
+
+    try {
+      if (action === 'place' && args.length === 1) {
+        Operations.authenticate(options.account || DataStorage.currentAccount, options.pin);
+        const { currency } = Operations.balance(options.account || DataStorage.currentAccount);
+        const result = Operations.hold(Operations.parseAmount(args[0], { currency, locale: options.inputLocale }),
+          { account: options.account || DataStorage.currentAccount });
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: describe(result),
+          text: `Hold ${result.hold.id} placed: ${Display.amount(result.hold.amount, currency)} until ` +
+            `${result.hold.expiresAt}. Available balance: ${Display.amount(result.available, currency)}`
+        };
+      }
+
+      if (action === 'capture' && (args.length === 1 || args.length === 2) && isId(args[0])) {
+        const id = Number(args[0]);
+        const hold = Holds.find(id);
+        Operations.authenticate(hold.account, options.pin);
+        const currency = Currency.of(DataStorage.getAccount(hold.account));
+        const amount = args.length === 2 ? Operations.parseAmount(args[1], { currency, locale: options.inputLocale }) : null;
+        const result = Operations.capture(id, amount);
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: {
+            ok: true,
+            account: result.account,
+            amount: Currency.format(result.amount, currency),
+            balance: Currency.format(result.balance, currency),
+            seq: result.entry.seq,
+            holdId: id
+          },
+          text: `Hold ${id} captured: ${Display.amount(result.amount, currency)} debited. ` +
+            `New balance: ${Display.amount(result.balance, currency)}`
+        };
+      }
+
+      if (action === 'release' && args.length === 1 && isId(args[0])) {
+        Operations.authenticate(Holds.find(Number(args[0])).account, options.pin);
+        const result = Operations.release(Number(args[0]));
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: describe(result),
+          text: `Hold ${args[0]} released. Available balance: ${Display.amount(result.available, result.currency)}`
+        };
+      }
+
+      if (action === 'list' && args.length === 0) {
+        const account = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+        Operations.authenticate(account.number, options.pin);
+        const currency = Currency.of(account);
+        const holds = Holds.active(account.number);
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: { ok: true, account: account.number, holds: holds.map((hold) => ({ ...hold, amount: Currency.format(hold.amount, currency) })) },
+          text: holds.length === 0
+            ? 'No holds.'
+            : holds.map((hold) => `${String(hold.id).padStart(4)}  ${Display.amount(hold.amount, currency)}  ` +
+              `placed ${hold.placedAt}, expires ${hold.expiresAt}`).join('\n')
+        };
+      }
+    } catch (err) {
+      if (err instanceof InvalidAmountError) return commandError(EXIT_CODES.INVALID_AMOUNT, err.message);
+      if (err instanceof HoldError) return commandError(EXIT_CODES.INVALID_HOLD, err.message);
+      if (err instanceof ApprovalError) return commandError(EXIT_CODES.APPROVAL_DENIED, err.message);
+      if (isRejection(err)) return commandError(OUTCOME_EXIT_CODES[err.outcome], err.message);
+      if (err instanceof PendingApprovalError) {
+        const currency = Currency.of(DataStorage.accounts[err.approval.account]);
+        return {
+          exitCode: EXIT_CODES.PENDING_APPROVAL,
+          result: {
+            ok: true,
+            status: 'pending',
+            account: err.approval.account,
+            currency,
+            amount: Currency.format(err.approval.amount, currency),
+            approval: err.approval.id
+          },
+          text: err.message
+        };
+      }
+      throw err;
+    }
+
+    return commandError(EXIT_CODES.USAGE, usage);
   },
 
   /**
-   * WRITE operation - updates balance
-   * Equivalent to: IF OPERATION-TYPE = 'WRITE' MOVE BALANCE TO STORAGE-BALANCE
+   * `verify-audit [file]` - check the hash chain of the audit log (default:
+   * the one in use) and name the first entry where it breaks
+   */
+  'verify-audit'(options) {
+    if (options.args.length > 1) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system verify-audit [file]');
+    }
+    const file = options.args[0] || Audit.file;
+    if (file === null) {
+      return commandError(EXIT_CODES.USAGE, 'No audit log to verify (use --data-file, --audit-file or name the file).');
+    }
+    if (!fs.existsSync(file)) {
+      return commandError(EXIT_CODES.ERROR, `Audit log ${file} does not exist.`);
+    }
+
+    const { ok, entries, broken } = Audit.verify(Audit.lines(file));
+    return {
+      exitCode: ok ? EXIT_CODES.OK : EXIT_CODES.AUDIT_CHAIN_BROKEN,
+      result: { ok, file, entries, broken },
+      text: ok
+        ? `Audit log ${file} verified: ${entries} entries, chain intact.`
+        : `Audit log ${file} is broken at entry ${broken.seq} of ${entries}: ${broken.reason}.`
+    };
+  },
+
+  /**
+   * `approvals list`, `approvals approve <id>` and
+   * `approvals reject <id> [reason]` - the supervisor's side of
+   * maker-checker; the --user must be one of the stored supervisors and
+   * give their password in ACCOUNT_USER_PASSWORD
+   */
+  approvals(options) {
+    const [action, ...args] = options.args;
+    const usage = 'Usage: account-system approvals list | approve <id> | reject <id> [reason]';
+    const amount = (approval) => Currency.format(approval.amount, Currency.of(DataStorage.accounts[approval.account]));
+
+    try {
+      if (action === 'list' && args.length === 0) {
+        Approvals.authenticate();
+        const pending = Approvals.pending();
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: { ok: true, approvals: pending.map((approval) => ({ ...approval, amount: amount(approval) })) },
+          text: pending.length === 0
+            ? 'No debits are awaiting approval.'
+            : pending.map((approval) => `${String(approval.id).padStart(4)}  ${approval.account}  ` +
+              `${(approval.type || 'DEBIT').padEnd(8)}${approval.counterparty ? ` to ${approval.counterparty}` : ''}  ${amount(approval)}  ` +
+              `requested by ${approval.requestedBy || 'unknown'} at ${approval.requestedAt}`).join('\n')
+        };
+      }
+
+      if (action === 'approve' && args.length === 1 && /^\d+$/.test(args[0])) {
+        const result = Approvals.approve(Number(args[0]));
+        if (result.approval.status === 'failed') {
+          return commandError(OUTCOME_EXIT_CODES[result.outcome], `Request ${args[0]} failed: ${result.message}`);
+        }
+        const currency = Currency.of(DataStorage.accounts[result.entry.account]);
+        const { account, amount: cents, counterparty } = result.entry;
+        const done = result.hold ? `hold ${result.hold.id} of ${Display.amount(cents, currency)} placed on ${account}`
+          : counterparty ? `${Display.amount(cents, currency)} transferred from ${account} to ${counterparty}`
+            : `${Display.amount(cents, currency)} debited from ${account}`;
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: {
+            ok: true,
+            approval: result.approval.id,
+            account: result.entry.account,
+            amount: Currency.format(result.entry.amount, currency),
+            balance: Currency.format(result.balance, currency),
+            seq: result.entry.seq,
+            ...(result.hold ? { holdId: result.hold.id } : {})
+          },
+          text: `Request ${args[0]} approved: ${done}. ` +
+            `New balance: ${Display.amount(result.balance, currency)}`
+        };
+      }
+
+      if (action === 'reject' && args.length >= 1 && /^\d+$/.test(args[0])) {
+        const approval = Approvals.reject(Number(args[0]), args.slice(1).join(' '));
+        return {
+          exitCode: EXIT_CODES.OK,
+          result: { ok: true, approval: approval.id, status: approval.status },
+          text: `Request ${approval.id} rejected.`
+        };
+      }
+    } catch (err) {
+      if (!(err instanceof ApprovalError)) throw err;
+      return commandError(EXIT_CODES.APPROVAL_DENIED, err.message);
+    }
+
+    return commandError(EXIT_CODES.USAGE, usage);
+  },
+
+  /**
+   * `supervisors list`, `supervisors add <user>` and
+   * `supervisors remove <user>` - who may approve or reject queued debits.
+   * Changes need the administrator password; `add` takes the supervisor's
+   * own password from ACCOUNT_USER_PASSWORD.
+   */
+  supervisors(options) {
+    const [action, ...args] = options.args;
+    if (action === 'add' || action === 'remove') {
+      if (args.length !== 1) {
+        return commandError(EXIT_CODES.USAGE, 'Usage: account-system supervisors list | add <user> | remove <user>');
+      }
+      Admin.authorize(options.adminPassword);
+      if (action === 'remove') {
+        DataStorage.removeSupervisor(args[0]);
+      } else if (!Admin.isValid(options.userPassword)) {
+        return commandError(EXIT_CODES.USAGE,
+          `Give the supervisor's password (at least ${Admin.MIN_LENGTH} characters) in ACCOUNT_USER_PASSWORD.`);
+      } else {
+        DataStorage.addSupervisor(args[0], options.userPassword);
+      }
+    } else if (action !== 'list' || args.length !== 0) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system supervisors list | add <user> | remove <user>');
+    }
+    const names = DataStorage.supervisors.map(({ name }) => name);
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: { ok: true, supervisors: names },
+      text: names.length === 0 ? 'No supervisors.' : names.join('\n')
+    };
+  },
+
+  /**
+   * `reset-pin <account>` - administrator path for a forgotten PIN or a
+   * locked account: removes the PIN so a new one is chosen at next login
+   */
+  'reset-pin'(options) {
+    if (options.args.length !== 1) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system reset-pin <account>');
+    }
+    Admin.authorize(options.adminPassword);
+    const account = DataStorage.getAccount(options.args[0]);
+    DataStorage.resetPin(account.number);
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: { ok: true, account: account.number },
+      text: `PIN of account ${account.number} reset. A new PIN will be requested at next login.`
+    };
+  },
+
+  /**
+   * `admin-password <new password>` - set the administrator password. The
+   * first one can be set freely, like the first PIN of an account; after
+   * that the current one must be given.
+   */
+  'admin-password'(options) {
+    if (options.args.length !== 1) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system admin-password <new password>');
+    }
+    if (DataStorage.admin !== null) Admin.authorize(options.adminPassword);
+    if (!Admin.isValid(options.args[0])) {
+      return commandError(EXIT_CODES.USAGE, `The administrator password must be at least ${Admin.MIN_LENGTH} characters.`);
+    }
+    DataStorage.setAdminPassword(options.args[0]);
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: { ok: true },
+      text: 'Administrator password set.'
+    };
+  },
+
+  /**
+   * `eod [YYYY-MM-DD]` - run the end-of-day cycle (default: today)
+   */
+  eod(options) {
+    let summary;
+    try {
+      summary = EndOfDay.run(options.args[0]);
+    } catch (err) {
+      if (!(err instanceof EndOfDayError)) throw err;
+      return commandError(EXIT_CODES.INVALID_BUSINESS_DATE, err.message);
+    }
+
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        date: summary.date,
+        alreadyRun: summary.alreadyRun,
+        standingOrders: summary.standingOrders,
+        fees: { count: summary.fees.count, total: Money.format(summary.fees.total) },
+        interest: { posted: summary.interest.posted, total: Money.format(summary.interest.total) }
+      },
+      text: EndOfDay.formatSummary(summary)
+    };
+  },
+
+  /**
+   * `reverse <seq> [reason]` - reverse an earlier credit or debit
+   */
+  reverse(options) {
+    if (options.args.length < 1 || !/^\d+$/.test(options.args[0])) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system reverse <transaction number> [reason]');
+    }
+
+    const original = DataStorage.ledger.find((entry) => entry.seq === Number(options.args[0]));
+    if (original) Operations.authenticate(original.account, options.pin);
+
+    let result;
+    try {
+      result = Operations.postReversal(Number(options.args[0]), options.args.slice(1).join(' '));
+    } catch (err) {
+      if (!(err instanceof ReversalError)) throw err;
+      return commandError(EXIT_CODES.NOT_REVERSIBLE, err.message);
+    }
+    if (result.outcome !== 'Posted') {
+      return commandError(OUTCOME_EXIT_CODES[result.outcome], result.message);
+    }
+
+    const currency = Currency.of(DataStorage.accounts[result.entry.account]);
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        account: result.entry.account,
+        type: result.entry.type,
+        currency,
+        amount: Currency.format(result.entry.amount, currency),
+        balance: Currency.format(result.balance, currency),
+        seq: result.entry.seq,
+        reverses: result.entry.reverses
+      },
+      text: `Transaction ${result.entry.reverses} reversed. New balance: ${Display.amount(result.balance, currency)}`
+    };
+  },
+
+  /**
+   * `export <file> [--format csv|json|ofx] [--from <date>] [--to <date>]` -
+   * write the statement of an account (default format: the file extension)
+   */
+  export(options) {
+    if (options.args.length !== 1) {
+      return commandError(EXIT_CODES.USAGE,
+        'Usage: account-system export <file> [--format csv|json|ofx] [--from YYYY-MM-DD] [--to YYYY-MM-DD]');
+    }
+
+    const file = options.args[0];
+    const format = options.format || path.extname(file).slice(1).toLowerCase();
+    if (!Statement.FORMATS.includes(format)) {
+      return commandError(EXIT_CODES.USAGE, `Unknown export format '${format}' (use csv, json or ofx)`);
+    }
+    for (const date of [options.from, options.to]) {
+      if (date !== null && !isIsoDate(date)) {
+        return commandError(EXIT_CODES.USAGE, `Invalid date '${date}' (use YYYY-MM-DD)`);
+      }
+    }
+
+    const account = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+    Operations.authenticate(account.number, options.pin);
+    const statement = Statement.of(account.number, { from: options.from, to: options.to });
+    try {
+      fs.writeFileSync(file, Statement.format(statement, format));
+    } catch (err) {
+      return commandError(EXIT_CODES.ERROR, `Unable to write ${file}: ${err.message}`);
+    }
+
+    const { currency } = statement;
+    return {
+      exitCode: EXIT_CODES.OK,
+      result: {
+        ok: true,
+        account: account.number,
+        file,
+        format,
+        transactions: statement.entries.length,
+        openingBalance: Currency.format(statement.openingBalance, currency),
+        closingBalance: Currency.format(statement.closingBalance, currency)
+      },
+      text: `Exported ${statement.entries.length} transaction(s) of account ${account.number} to ${file}. ` +
+        `Opening balance ${Display.amount(statement.openingBalance, currency)}, ` +
+        `closing balance ${Display.amount(statement.closingBalance, currency)}.`
+    };
+  },
+
+  /**
+   * `reconcile` - replay the ledger of every account from its opening
+   * balance and report where it disagrees with the stored balance
    */
-  write(newBalance) {
-    this.balance = newBalance;
+  reconcile(options) {
+    if (options.args.length !== 0) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system reconcile');
+    }
+
+    const result = Reconcile.run();
+    const ok = result.mismatches.length === 0;
+    const amount = (number, cents) => Currency.format(cents, Currency.of(DataStorage.accounts[number]));
+    return {
+      exitCode: ok ? EXIT_CODES.OK : EXIT_CODES.RECONCILIATION_MISMATCH,
+      result: {
+        ok,
+        accounts: result.accounts,
+        transactions: result.entries,
+        mismatches: result.mismatches.map((mismatch) => ({
+          account: mismatch.account,
+          stored: amount(mismatch.account, mismatch.stored),
+          replayed: amount(mismatch.account, mismatch.replayed),
+          difference: amount(mismatch.account, mismatch.difference),
+          lastRecorded: amount(mismatch.account, mismatch.lastRecorded),
+          transactions: mismatch.entries.map((entry) => entry.seq)
+        }))
+      },
+      text: Reconcile.format(result)
+    };
+  },
+
+  /**
+   * `batch <file>` - apply a transaction file and write a reject file
+   * (default `<file>.rejects.csv`) listing every record that failed.
+   * Records for accounts with a PIN need the administrator password.
+   */
+  batch(options) {
+    if (options.args.length !== 1) {
+      return commandError(EXIT_CODES.USAGE, 'Usage: account-system batch <file> [--format csv|fixed] [--rejects <file>]');
+    }
+
+    const file = options.args[0];
+    const format = options.format || (/\.csv$/i.test(file) ? 'csv' : 'fixed');
+    if (format !== 'csv' && format !== 'fixed') {
+      return commandError(EXIT_CODES.USAGE, `Unknown batch format '${format}' (use csv or fixed)`);
+    }
+
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      return commandError(EXIT_CODES.ERROR, `Unable to read ${file}: ${err.message}`);
+    }
+
+    const { summary, rejects } = Batch.run(text, format, options.account || DataStorage.currentAccount,
+      { admin: Admin.matches(options.adminPassword) });
+    const rejectFile = rejects.length > 0 ? options.rejects || `${file}.rejects.csv` : null;
+    if (rejectFile) fs.writeFileSync(rejectFile, Batch.formatRejects(rejects));
+
+    const accounts = {};
+    for (const [number, { currency, opening, closing }] of Object.entries(summary.accounts)) {
+      accounts[number] = { currency, opening: Currency.format(opening, currency), closing: Currency.format(closing, currency) };
+    }
+    return {
+      exitCode: rejects.length > 0 ? EXIT_CODES.REJECTED_RECORDS : EXIT_CODES.OK,
+      result: {
+        ok: rejects.length === 0,
+        records: summary.records,
+        posted: summary.posted,
+        queued: summary.queued,
+        rejected: summary.rejected,
+        totalCredits: Batch.formatTotals(summary.credits, (total, currency) => Currency.format(total, currency)),
+        totalDebits: Batch.formatTotals(summary.debits, (total, currency) => Currency.format(total, currency)),
+        accounts,
+        rejectFile,
+        rejects
+      },
+      text: Batch.formatSummary(file, summary, rejectFile)
+    };
   }
 };
 
+/**
+ * Shared body of the credit and debit commands
+ */
+function postCommand(options, type) {
+  const account = DataStorage.getAccount(options.account || DataStorage.currentAccount);
+  Operations.authenticate(account.number, options.pin);
+  const currency = Currency.of(account);
+  if (options.args.length !== 1 && options.args.length !== 2) {
+    return commandError(EXIT_CODES.USAGE, `Usage: account-system ${type} <amount> [currency]`);
+  }
+
+  let result;
+  try {
+    const { amount, currency: from } = Operations.parseMoney(options.args.join(' '), currency, { locale: options.inputLocale });
+    result = type === 'credit'
+      ? Operations.postCredit(account.number, amount, from)
+      : Operations.postDebit(account.number, amount, from);
+  } catch (err) {
+    if (err instanceof CurrencyError) return commandError(EXIT_CODES.UNKNOWN_CURRENCY, err.message);
+    if (err instanceof ApprovalError) return commandError(EXIT_CODES.APPROVAL_DENIED, err.message);
+    if (!(err instanceof InvalidAmountError)) throw err;
+    return commandError(EXIT_CODES.INVALID_AMOUNT, err.message);
+  }
+  if (result.outcome === 'Pending approval') {
+    return {
+      exitCode: EXIT_CODES.PENDING_APPROVAL,
+      result: {
+        ok: true,
+        status: 'pending',
+        account: account.number,
+        currency,
+        amount: Currency.format(result.approval.amount, currency),
+        approval: result.approval.id
+      },
+      text: result.message
+    };
+  }
+  if (result.outcome !== 'Posted') {
+    return commandError(OUTCOME_EXIT_CODES[result.outcome], result.message);
+  }
+
+  const conversion = result.entry.foreignCurrency
+    ? { foreignCurrency: result.entry.foreignCurrency,
+      foreignAmount: Currency.format(result.entry.foreignAmount, result.entry.foreignCurrency),
+      exchangeRate: result.entry.exchangeRate }
+    : {};
+  return {
+    exitCode: EXIT_CODES.OK,
+    result: {
+      ok: true,
+      account: account.number,
+      type: result.entry.type,
+      currency,
+      amount: Currency.format(result.entry.amount, currency),
+      balance: Currency.format(result.balance, currency),
+      ...conversion,
+      seq: result.entry.seq
+    },
+    text: conversionNote(result.entry, currency) + Locale.t(type === 'credit'
+      ? "Amount credited. New balance: {balance}"
+      : "Amount debited. New balance: {balance}", { balance: Display.amount(result.balance, currency) })
+  };
+}
+
+/**
+ * A failed command: the message goes to stderr, or into the JSON result
+ */
+function commandError(exitCode, message) {
+  const code = Object.keys(EXIT_CODES).find((key) => EXIT_CODES[key] === exitCode);
+  return { exitCode, result: { ok: false, error: code, message }, text: message };
+}
+
+/**
+ * Run a one-shot command, print its outcome and return the exit code
+ */
+function runCommand(options) {
+  let outcome;
+  try {
+    outcome = Commands[options.command](options);
+  } catch (err) {
+    if (err instanceof AuthenticationError) {
+      outcome = commandError(EXIT_CODES.NOT_AUTHORIZED, err.message);
+    } else if (err instanceof AccountError) {
+      outcome = commandError(EXIT_CODES.UNKNOWN_ACCOUNT, err.message);
+    } else {
+      throw err;
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(outcome.result));
+  } else if (REPORT_EXIT_CODES.includes(outcome.exitCode)) {
+    console.log(outcome.text);
+  } else {
+    console.error(outcome.text);
+  }
+  return outcome.exitCode;
+}
+
 // ============================================================================
-// OPERATIONS MODULE (formerly Operations.cob)
+// SCRIPTED SESSIONS
 // ============================================================================
-const Operations = {
+
+/**
+ * Replays a script of menu inputs through the interactive menu and compares
+ * the transcript with a stored golden copy, so the TESTPLAN scenarios run
+ * as fixtures instead of by hand.
+ * A script holds one answer per line; lines starting with '#' are comments.
+ * Its golden transcript is the same path with a .transcript extension.
+ */
+const Session = {
   /**
-   * TOTAL operation - display current balance
-   * Equivalent to COBOL:
-   *   IF OPERATION-TYPE = 'TOTAL'
-   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
-   *     DISPLAY "Current balance: " FINAL-BALANCE
+   * The answers in a script's text
    */
-  async viewBalance(rl) {
-    const currentBalance = DataStorage.read();
-    console.log(`\nCurrent balance: $${currentBalance.toFixed(2)}\n`);
+  parse(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines.filter((line) => !line.startsWith('#'));
+  },
+
+  goldenPath(script) {
+    const { dir, name } = path.parse(script);
+    return path.join(dir, `${name}.transcript`);
   },
 
   /**
-   * CREDIT operation - add amount to balance
-   * Equivalent to COBOL:
-   *   IF OPERATION-TYPE = 'CREDIT'
-   *     DISPLAY "Enter credit amount: "
-   *     ACCEPT AMOUNT
-   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
-   *     ADD AMOUNT TO FINAL-BALANCE
-   *     CALL 'DataProgram' USING 'WRITE', FINAL-BALANCE
-   *     DISPLAY "Amount credited. New balance: " FINAL-BALANCE
+   * Answer the menu's prompts with `inputs` and resolve with the transcript:
+   * everything printed plus the answers, as a terminal shows them. PINs are
+   * not echoed. Rejects with SessionError if the inputs run out before the
+   * menu exits. With `authenticate` false the menu starts without asking
+   * for the account's PIN.
    */
-  async credit(rl) {
-    const amount = await this.getAmount(rl, "Enter credit amount: ");
-    if (amount === null) return;
+  async run(inputs, { authenticate = true } = {}) {
+    let transcript = '';
+    const write = (text) => {
+      transcript += text;
+    };
 
-    let currentBalance = DataStorage.read();
-    currentBalance += amount;
-    DataStorage.write(currentBalance);
-    console.log(`\nAmount credited. New balance: $${currentBalance.toFixed(2)}\n`);
+    const { log, error } = console;
+    console.log = (...args) => write(`${util.format(...args)}\n`);
+    console.error = console.log;
+    try {
+      await runMenu(scriptedReadline(inputs, write), { authenticate });
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+    return transcript;
   },
 
   /**
-   * DEBIT operation - subtract amount from balance
-   * Equivalent to COBOL:
-   *   IF OPERATION-TYPE = 'DEBIT'
-   *     DISPLAY "Enter debit amount: "
-   *     ACCEPT AMOUNT
-   *     CALL 'DataProgram' USING 'READ', FINAL-BALANCE
-   *     IF FINAL-BALANCE >= AMOUNT
-   *       SUBTRACT AMOUNT FROM FINAL-BALANCE
-   *       CALL 'DataProgram' USING 'WRITE', FINAL-BALANCE
-   *       DISPLAY "Amount debited. New balance: " FINAL-BALANCE
-   *     ELSE
-   *       DISPLAY "Insufficient funds for this debit."
-   *     END-IF
+   * Run the script in file `script` and compare the transcript with its
+   * golden copy, or overwrite the golden copy when `record` is set.
+   * Returns { script, golden, status, diff } with status 'match',
+   * 'mismatch', 'missing' (no golden copy yet) or 'recorded'.
    */
-  async debit(rl) {
-    const amount = await this.getAmount(rl, "Enter debit amount: ");
-    if (amount === null) return;
+  async replay(script, { record = false } = {}) {
+    const golden = this.goldenPath(script);
+    const inputs = this.parse(fs.readFileSync(script, 'utf8'));
+    const transcript = await this.run(inputs, { authenticate: !this.isLegacy() });
 
-    let currentBalance = DataStorage.read();
-    
-    // Validation: Check sufficient funds (equivalent to: IF FINAL-BALANCE >= AMOUNT)
-    if (currentBalance >= amount) {
-      currentBalance -= amount;
-      DataStorage.write(currentBalance);
-      console.log(`\nAmount debited. New balance: $${currentBalance.toFixed(2)}\n`);
-    } else {
-      console.log("\nInsufficient funds for this debit.\n");
+    if (record) {
+      fs.writeFileSync(golden, transcript);
+      return { script, golden, status: 'recorded', diff: [] };
     }
+    if (!fs.existsSync(golden)) {
+      return { script, golden, status: 'missing', diff: [] };
+    }
+    const diff = this.diff(fs.readFileSync(golden, 'utf8'), transcript);
+    return { script, golden, status: diff.length === 0 ? 'match' : 'mismatch', diff };
   },
 
   /**
-   * Helper function to get and validate amount input
+   * Is this a --compat=cobol replay on an account without a PIN? The legacy
+   * app had no PINs, so such a replay skips choosing one and its
+   * transcript matches the legacy output. An account with a PIN is always
+   * asked for it.
    */
-  async getAmount(rl, prompt) {
-    return new Promise((resolve) => {
-      rl.question(prompt, (answer) => {
-        const amount = parseFloat(answer);
-        if (isNaN(amount) || amount <= 0) {
-          console.log("Invalid amount. Please enter a positive number.");
-          resolve(null);
-        } else {
-          resolve(amount);
-        }
-      });
-    });
+  isLegacy() {
+    DataStorage.refresh();
+    const account = DataStorage.accounts[DataStorage.currentAccount];
+    return Display.mode === 'cobol' && account !== undefined && account.pin === undefined;
+  },
+
+  /**
+   * Lines that differ between two transcripts, as '- golden' and
+   * '+ actual' lines in order; empty when they are the same
+   */
+  diff(expected, actual) {
+    if (expected === actual) return [];
+    const a = expected.split('\n');
+    const b = actual.split('\n');
+
+    // common[i][j]: length of the longest common run of lines of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+        lines.push(`- ${a[i++]}`);
+      } else {
+        lines.push(`+ ${b[j++]}`);
+      }
+    }
+    return lines;
+  }
+};
+
+/**
+ * A readline stand-in that answers each question from `inputs`. Like
+ * readline on a pipe, it writes prompts through _writeToOutput, so
+ * askSecret can hide the answers it should not echo.
+ */
+function scriptedReadline(inputs, write) {
+  const answers = [...inputs];
+  return {
+    output: { write },
+    _writeToOutput: write,
+    question(prompt, callback) {
+      if (answers.length === 0) {
+        throw new SessionError("The script ended before the session exited.");
+      }
+      const answer = answers.shift();
+      this._writeToOutput(prompt);
+      this._writeToOutput(`${answer}\n`);
+      setImmediate(() => callback(answer));
+    },
+    close() {}
+  };
+}
+
+/**
+ * `replay <script>... [--record]`: replay each script from a fresh
+ * in-memory state and audit log - never on a data file, which the scripts
+ * would post to - print PASS/FAIL with the differences and return
+ * TRANSCRIPT_MISMATCH unless every transcript matched
+ */
+async function runReplay(options) {
+  if (options.args.length === 0) {
+    console.error("Usage: replay <script>... [--record]");
+    return EXIT_CODES.USAGE;
+  }
+
+  const sessions = [];
+  for (const script of options.args) {
+    DataStorage.file = null;
+    DataStorage.reset();
+    Audit.reset();
+    try {
+      sessions.push(await Session.replay(script, options));
+    } catch (err) {
+      if (!(err instanceof SessionError) && err.code !== 'ENOENT') throw err;
+      sessions.push({ script, golden: Session.goldenPath(script), status: 'failed', diff: [], message: err.message });
+    }
+  }
+
+  const ok = sessions.every(({ status }) => status === 'match' || status === 'recorded');
+  if (options.json) {
+    console.log(JSON.stringify({ ok, sessions }));
+  } else {
+    for (const session of sessions) {
+      if (session.status === 'recorded') {
+        console.log(`Recorded ${session.golden}`);
+      } else if (session.status === 'match') {
+        console.log(`PASS ${session.script}`);
+      } else if (session.status === 'missing') {
+        console.log(`FAIL ${session.script}: no golden transcript at ${session.golden} (use --record)`);
+      } else if (session.status === 'failed') {
+        console.log(`FAIL ${session.script}: ${session.message}`);
+      } else {
+        console.log(`FAIL ${session.script}`);
+        session.diff.forEach((line) => console.log(`  ${line}`));
+      }
+    }
   }
+  return ok ? EXIT_CODES.OK : EXIT_CODES.TRANSCRIPT_MISMATCH;
+}
+
+// ============================================================================
+// COMMAND LINE OPTIONS
+// ============================================================================
+
+// Flags that take a value, as --flag <value> or --flag=<value>
+const OPTION_FLAGS = {
+  '--data-file': 'dataFile',
+  '--rates': 'ratesFile',
+  '--rounding': 'rounding',
+  '--compat': 'compat',
+  '--port': 'port',
+  '--host': 'host',
+  '--account': 'account',
+  '--format': 'format',
+  '--from': 'from',
+  '--to': 'to',
+  '--rejects': 'rejects',
+  '--max-pin-attempts': 'maxPinAttempts',
+  '--hold-hours': 'holdHours',
+  '--audit-file': 'auditFile',
+  '--user': 'user',
+  '--locale': 'locale'
+};
+
+// Flags that switch something on
+const BOOLEAN_FLAGS = {
+  '--json': 'json',
+  '--record': 'record'
 };
 
+/**
+ * Parse command line flags and environment variables.
+ * The first bare argument is the command (e.g. `serve`); with none the
+ * interactive menu runs.
+ *   --data-file <path>  (or ACCOUNT_DATA_FILE) - persist balances to a file
+ *   --audit-file <path> (or ACCOUNT_AUDIT_FILE) - hash-chained audit log
+ *                       (default: <data file>.audit; in memory without one)
+ *   --rates <path>      (or ACCOUNT_RATES_FILE) - exchange rate table for
+ *                       foreign-currency amounts (JSON, see ExchangeRates)
+ *   --rounding <mode>   (or ACCOUNT_ROUNDING)  - 'truncate' (default) or
+ *                       'round' for digits past the second decimal place
+ *                       of a converted amount
+ *   --compat <mode>     (or ACCOUNT_COMPAT)    - 'modern' (default) or
+ *                       'cobol' to reproduce the legacy DISPLAY output
+ *   --port <n>          (or ACCOUNT_PORT)      - `serve` port (default 3000)
+ *   --host <addr>       (or ACCOUNT_HOST)      - `serve` address (default
+ *                       127.0.0.1, local connections only)
+ *   --account <number>                         - account for one-shot
+ *                       commands (default: the default account)
+ *   --json                                     - machine-readable output
+ *   --format <csv|fixed>                       - `batch` record layout
+ *                       (default: csv for *.csv files, else fixed), or
+ *                       csv|json|ofx for `export` (default: file extension)
+ *   --from <date>, --to <date>                 - `export` date range
+ *                       (YYYY-MM-DD, inclusive; default: everything)
+ *   --rejects <path>                           - `batch` reject file
+ *   --max-pin-attempts <n> (or ACCOUNT_MAX_PIN_ATTEMPTS) - wrong PINs in a
+ *                       row before an account locks (default 3)
+ *   --hold-hours <n>    (or ACCOUNT_HOLD_HOURS) - hours before a hold that
+ *                       was not captured expires (default 168, a week)
+ *   --user <name>       (or ACCOUNT_USER, USER) - who is asking, e.g. for a
+ *                       debit that needs approval or to approve one
+ *   ACCOUNT_USER_PASSWORD                      - password of a supervisor
+ *                       --user for `approvals`, or of the supervisor
+ *                       being added by `supervisors add` (no flag)
+ *   ACCOUNT_PIN                                - PIN of the --account, for
+ *                       commands on an account that has one
+ *   ACCOUNT_ADMIN_PASSWORD                     - administrator password for
+ *                       reset-pin, supervisors, admin-password and batch
+ *                       files touching accounts with a PIN (no flag, so
+ *                       it stays out of the process list)
+ *   --locale <name>     (or LANG)              - language of menus, messages
+ *                       and amounts, e.g. de-DE (default: English).
+ *                       Amounts in command arguments are read in English
+ *                       unless --locale is given, so scripts do not
+ *                       depend on LANG
+ *   --record                                   - `replay` writes the golden
+ *                       transcripts instead of comparing against them
+ */
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const options = {
+    dataFile: env.ACCOUNT_DATA_FILE || null,
+    auditFile: env.ACCOUNT_AUDIT_FILE || null,
+    user: env.ACCOUNT_USER || env.USER || null,
+    adminPassword: env.ACCOUNT_ADMIN_PASSWORD || null,
+    userPassword: env.ACCOUNT_USER_PASSWORD || null,
+    pin: env.ACCOUNT_PIN || null,
+    ratesFile: env.ACCOUNT_RATES_FILE || null,
+    rounding: env.ACCOUNT_ROUNDING || 'truncate',
+    compat: env.ACCOUNT_COMPAT || 'modern',
+    port: Number(env.ACCOUNT_PORT || 3000),
+    host: env.ACCOUNT_HOST || '127.0.0.1',
+    account: null,
+    format: null,
+    from: null,
+    to: null,
+    rejects: null,
+    maxPinAttempts: env.ACCOUNT_MAX_PIN_ATTEMPTS || 3,
+    holdHours: env.ACCOUNT_HOLD_HOURS || 168,
+    locale: null,
+    json: false,
+    record: false,
+    command: null,
+    args: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const key = OPTION_FLAGS[flag];
+    if (key) {
+      options[key] = inlineValue !== undefined ? inlineValue : argv[++i];
+    } else if (BOOLEAN_FLAGS[flag]) {
+      options[BOOLEAN_FLAGS[flag]] = true;
+    } else if (options.command === null && !flag.startsWith('--')) {
+      options.command = flag;
+    } else {
+      options.args.push(argv[i]);
+    }
+  }
+  options.port = Number(options.port);
+  options.maxPinAttempts = Number(options.maxPinAttempts);
+  options.holdHours = Number(options.holdHours);
+  options.inputLocale = options.locale === null ? DEFAULT_LOCALE : Locale.resolve(options.locale);
+  if (options.locale === null) options.locale = env.LANG || null;
+
+  return options;
+}
+
 // ============================================================================
 // MAIN PROGRAM (formerly MainProgram.cob)
 // ============================================================================
-async function main() {
+
+/**
+ * Apply the options shared by every command: rounding, output mode,
+ * locale, the backing data file and its audit log
+ */
+function configure(options) {
+  if (options.rounding !== 'truncate' && options.rounding !== 'round') {
+    throw new Error(`Unknown rounding mode '${options.rounding}' (use truncate or round)`);
+  }
+  Money.rounding = options.rounding;
+
+  if (options.compat !== 'modern' && options.compat !== 'cobol') {
+    throw new Error(`Unknown output mode '${options.compat}' (use modern or cobol)`);
+  }
+  Display.mode = options.compat;
+  Locale.current = Locale.resolve(options.locale);
+
+  if (!Number.isInteger(options.maxPinAttempts) || options.maxPinAttempts < 1) {
+    throw new Error(`Invalid --max-pin-attempts '${options.maxPinAttempts}' (use a positive whole number)`);
+  }
+  Pin.maxAttempts = options.maxPinAttempts;
+
+  if (!Number.isInteger(options.holdHours) || options.holdHours < 1) {
+    throw new Error(`Invalid --hold-hours '${options.holdHours}' (use a positive whole number)`);
+  }
+  Holds.expiryHours = options.holdHours;
+  Approvals.user = options.user;
+  Approvals.password = options.userPassword;
+
+  if (options.ratesFile) {
+    ExchangeRates.open(options.ratesFile);
+  }
+
+  if (options.auditFile || options.dataFile) {
+    Audit.open(options.auditFile || `${options.dataFile}.audit`);
+  }
+
+  if (options.dataFile) {
+    const { recovered, quarantined } = DataStorage.open(options.dataFile);
+    if (quarantined) {
+      console.error(`Warning: corrupt data file moved to ${quarantined}`);
+    }
+    if (recovered) {
+      console.error("Warning: balance restored from the last good backup.");
+    }
+  }
+}
+
+async function main(options = parseOptions()) {
+  // Replayed scripts post credits and debits: keep them off the data file
+  configure(options.command === 'replay' ? { ...options, dataFile: null, auditFile: null } : options);
+
+  if (options.command === 'serve') {
+    serve(options);
+    return;
+  }
+  if (Object.prototype.hasOwnProperty.call(Commands, options.command)) {
+    process.exitCode = runCommand(options);
+    return;
+  }
+  if (options.command === 'replay') {
+    process.exitCode = await runReplay(options);
+    return;
+  }
+  if (options.command !== null) {
+    console.error(`Unknown command '${options.command}'`);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout
   });
 
+  await runMenu(rl);
+
+  // STOP RUN
+  rl.close();
+  process.exit(0);
+}
+
+// Operation behind each menu choice, as named in the audit log
+const MENU_OPERATIONS = {
+  '1': 'TOTAL',
+  '2': 'CREDIT',
+  '3': 'DEBIT',
+  '4': 'EXIT',
+  '5': 'OPEN-ACCOUNT',
+  '6': 'SELECT-ACCOUNT',
+  '7': 'LIST-ACCOUNTS',
+  '8': 'CLOSE-ACCOUNT',
+  '9': 'STATEMENT',
+  '10': 'TRANSFER',
+  '11': 'REVERSE'
+};
+
+/**
+ * The interactive menu loop, until the user chooses Exit. Only a scripted
+ * legacy replay passes `authenticate` false (see Session.isLegacy).
+ */
+async function runMenu(rl, { authenticate = true } = {}) {
+  // The legacy menu only offers options 1-4
+  const legacy = Display.mode === 'cobol';
+  const lastChoice = legacy ? '4' : '11';
+
+  // No operation runs on an account until its PIN has been entered
+  Menu.loggedIn = new Set(authenticate || DataStorage.currentAccount === null ? [] : [DataStorage.currentAccount]);
+  let continueFlag = !authenticate || DataStorage.currentAccount === null ||
+    await Menu.authenticate(rl, DataStorage.currentAccount);
+
   // CONTINUE-FLAG equivalent: controls the main loop
-  let continueFlag = true;
 
   // PERFORM UNTIL CONTINUE-FLAG = 'NO'
   while (continueFlag) {
+    // Pick up changes made by other processes sharing the data file
+    DataStorage.refresh();
+
     // Display menu
     console.log("--------------------------------");
-    console.log("Account Management System");
-    console.log("1. View Balance");
-    console.log("2. Credit Account");
-    console.log("3. Debit Account");
-    console.log("4. Exit");
+    console.log(Locale.t("Account Management System"));
+    if (!legacy) {
+      console.log(Locale.t("Account: {account}", { account: DataStorage.currentAccount || Locale.t("(none selected)") }));
+    }
+    console.log(`1. ${Locale.t("View Balance")}`);
+    console.log(`2. ${Locale.t("Credit Account")}`);
+    console.log(`3. ${Locale.t("Debit Account")}`);
+    console.log(`4. ${Locale.t("Exit")}`);
+    if (!legacy) {
+      console.log(`5. ${Locale.t("Open Account")}`);
+      console.log(`6. ${Locale.t("Select Account")}`);
+      console.log(`7. ${Locale.t("List Accounts")}`);
+      console.log(`8. ${Locale.t("Close Account")}`);
+      console.log(`9. ${Locale.t("View Statement")}`);
+      console.log(`10. ${Locale.t("Transfer Funds")}`);
+      console.log(`11. ${Locale.t("Reverse Transaction")}`);
+    }
     console.log("--------------------------------");
 
     // Get user choice
-    const choice = await new Promise((resolve) => {
-      rl.question("Enter your choice (1-4): ", (answer) => {
-        resolve(answer.trim());
-      });
+    const answer = await ask(rl, Locale.t("Enter your choice (1-{last}): ", { last: lastChoice }));
+    let choice = answer;
+    if (legacy && !/^[1-4]$/.test(choice)) choice = null;
+
+    // Audit the choice; what the operation then posts is audited with it
+    const operation = MENU_OPERATIONS[choice];
+    const current = DataStorage.accounts[DataStorage.currentAccount];
+    Audit.record({
+      choice: answer,
+      operation,
+      account: DataStorage.currentAccount,
+      outcome: operation ? 'Selected' : 'Invalid choice',
+      balance: current ? current.balance : undefined
     });
+    Audit.context = operation ? { choice, operation } : {};
 
     // EVALUATE USER-CHOICE
     switch (choice) {
       case '1':
         // WHEN 1: CALL 'Operations' USING 'TOTAL '
-        await Operations.viewBalance(rl);
+        await Menu.viewBalance(rl);
         break;
       case '2':
         // WHEN 2: CALL 'Operations' USING 'CREDIT'
-        await Operations.credit(rl);
+        await Menu.credit(rl);
         break;
       case '3':
         // WHEN 3: CALL 'Operations' USING 'DEBIT '
-        await Operations.debit(rl);
+        await Menu.debit(rl);
         break;
       case '4':
         // WHEN 4: MOVE 'NO' TO CONTINUE-FLAG
         continueFlag = false;
         break;
+      case '5':
+        await Menu.openAccount(rl);
+        break;
+      case '6': {
+        const previous = DataStorage.currentAccount;
+        await Menu.selectAccount(rl);
+        if (DataStorage.currentAccount !== previous &&
+            !(await Menu.authenticate(rl, DataStorage.currentAccount))) {
+          DataStorage.currentAccount = null;
+        }
+        break;
+      }
+      case '7':
+        await Menu.listAccounts(rl);
+        break;
+      case '8':
+        await Menu.closeAccount(rl);
+        break;
+      case '9':
+        await Menu.viewStatement(rl);
+        break;
+      case '10':
+        await Menu.transfer(rl);
+        break;
+      case '11':
+        await Menu.reverse(rl);
+        break;
       default:
         // WHEN OTHER
-        console.log("\nInvalid choice, please select 1-4.\n");
+        console.log(Display.message(Locale.t("Invalid choice, please select 1-{last}.", { last: lastChoice })));
     }
+    Audit.context = {};
   }
 
   // DISPLAY "Exiting the program. Goodbye!"
-  console.log("\nExiting the program. Goodbye!");
-  
-  // STOP RUN
-  rl.close();
-  process.exit(0);
+  const goodbye = Locale.t("Exiting the program. Goodbye!");
+  console.log(legacy ? goodbye : `\n${goodbye}`);
 }
 
 // Export modules for testing
 module.exports = {
   DataStorage,
-  Operations
+  Operations,
+  Menu,
+  Money,
+  Display,
+  StorageError,
+  AccountError,
+  ReversalError,
+  InvalidAmountError,
+  InsufficientFundsError,
+  DebitLimitError,
+  BalanceOverflowError,
+  HoldError,
+  Holds,
+  PendingApprovalError,
+  ApprovalError,
+  Approvals,
+  AuthenticationError,
+  Admin,
+  Locale,
+  MESSAGES,
+  DEFAULT_ACCOUNT,
+  Audit,
+  createServer,
+  Batch,
+  Clock,
+  Currency,
+  CurrencyError,
+  DebitPolicy,
+  EndOfDay,
+  EndOfDayError,
+  Events,
+  ExchangeRates,
+  EXIT_CODES,
+  Pin,
+  Reconcile,
+  Session,
+  SessionError,
+  Statement,
+  runCommand,
+  runReplay,
+  parseOptions
 };
 
 // Start the application only if this is the main module being run directly